@@ -0,0 +1,159 @@
+// THE NERVE — KIOSK
+// One page for a lobby screen: the four sketches take turns, cross-fading
+// from one to the next, all drawing from a single NerveData. When the
+// regime escalates the kiosk cuts to the most dramatic view and holds it
+// before the rotation picks up again.
+//
+// The schedule, in window.NERVE_CONFIG = { kiosk: { ... } } or the URL:
+//   views     order and seconds per view, e.g. 'clock:60,pulse,depth:30,fracture'
+//             (?views=...); views without seconds get interval
+//   interval  default seconds per view (?rotate=45)
+//   fade      cross-fade length in ms
+//   dramatic  view to cut to on escalation (?dramatic=pulse); 'none' turns it off
+//   hold      seconds to stay there before rotating on
+//
+// Only the view on screen (and the one fading out) keeps drawing.
+
+const NERVE_KIOSK_DEFAULTS = {
+  views: 'clock,pulse,depth,fracture',
+  interval: 45,
+  fade: 2000,
+  dramatic: 'fracture',
+  hold: 120
+};
+
+class NerveKiosk {
+  constructor(container, nerve, options = {}) {
+    this.nerve = nerve;
+    const config = Object.assign({}, NERVE_KIOSK_DEFAULTS, nerveConfigFromPage().kiosk, options);
+    this.fade = config.fade;
+    this.hold = config.hold * 1000;
+    const interval = NerveKiosk.seconds(config.interval) || NERVE_KIOSK_DEFAULTS.interval;
+    this.schedule = NerveKiosk.parseViews(config.views, interval);
+    this.dramatic = NERVE_SKETCHES[config.dramatic] ? config.dramatic : null;
+    this.current = -1;
+    this.timer = null;
+    this.fadeTimers = new Map(); // sketch → pending noLoop after its fade-out
+
+    // Every view the schedule or an escalation can show, stacked and faded
+    // with opacity so hidden canvases keep their size
+    this.views = {};
+    const names = this.schedule.map(step => step.view);
+    if (this.dramatic && !names.includes(this.dramatic)) names.push(this.dramatic);
+    for (const name of new Set(names)) {
+      const el = document.createElement('div');
+      el.className = 'kiosk-view';
+      el.style.cssText = [
+        'position: absolute', 'inset: 0', 'opacity: 0',
+        `transition: opacity ${this.fade}ms ease`
+      ].join(';');
+      container.appendChild(el);
+      const sketch = NERVE_SKETCHES[name](el, nerve, { sound: false });
+      sketch.noLoop();
+      this.views[name] = { el, sketch };
+    }
+    // The sketches on screen right now, for NerveInput's pause and snapshot
+    this.showing = [];
+
+    this.title = document.createElement('div');
+    this.title.id = 'kiosk-title';
+    this.title.setAttribute('aria-live', 'polite');
+    this.title.style.cssText = [
+      'position: fixed', 'left: 20px', 'bottom: 40px', 'z-index: 10', 'pointer-events: none',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.3)', 'font: 11px "Courier New", monospace',
+      'letter-spacing: 3px', 'text-transform: uppercase', `transition: opacity ${this.fade / 2}ms ease`
+    ].join(';');
+    container.appendChild(this.title);
+
+    // Until the first reading lands (live, cached or made on the page) the
+    // regime is only NerveData's starting CALM, so the jump away from it is
+    // boot, not an escalation. A sim level picked by hand still counts.
+    const booting = () => nerve.lastUpdate === null && nerve.simFrameTime === null && nerve.simReason !== 'manual';
+    nerve.on('regimeChange', ({ from, to }) => {
+      if (booting()) return;
+      if (this.dramatic && NERVE_REGIME_ORDER.indexOf(to) > NERVE_REGIME_ORDER.indexOf(from)) {
+        this.escalate(to);
+      }
+    });
+
+    this.advance();
+  }
+
+  // 'clock:60,pulse' → [{ view: 'clock', seconds: 60 }, { view: 'pulse', seconds: interval }]
+  static parseViews(views, interval) {
+    const list = Array.isArray(views) ? views : String(views).split(',');
+    const schedule = [];
+    for (const entry of list) {
+      const [view, seconds] = typeof entry === 'string' ? entry.trim().split(':') : [entry.view, entry.seconds];
+      if (!NERVE_SKETCHES[view]) {
+        console.warn(`Kiosk: no view called ${view} (have ${Object.keys(NERVE_SKETCHES).join(', ')})`);
+        continue;
+      }
+      schedule.push({ view, seconds: NerveKiosk.seconds(seconds) || interval });
+    }
+    if (!schedule.length) schedule.push(...Object.keys(NERVE_SKETCHES).map(view => ({ view, seconds: interval })));
+    return schedule;
+  }
+
+  // A usable number of seconds, or null
+  static seconds(value) {
+    const n = Number(value);
+    return n > 0 && isFinite(n) ? n : null;
+  }
+
+  // On to the next step of the schedule
+  advance() {
+    if (this.paused()) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.advance(), 1000);
+      return;
+    }
+    this.current = (this.current + 1) % this.schedule.length;
+    const step = this.schedule[this.current];
+    this.show(step.view, step.seconds * 1000);
+  }
+
+  // Cut to the dramatic view for hold ms, then carry on from the step after
+  // the one that was showing
+  escalate(regime) {
+    console.log(`Kiosk: regime up to ${regime}, showing ${this.dramatic}`);
+    this.show(this.dramatic, this.hold);
+  }
+
+  show(name, duration) {
+    const incoming = this.views[name];
+    for (const other in this.views) {
+      const view = this.views[other];
+      if (view === incoming || view.el.style.opacity === '0') continue;
+      view.el.style.opacity = '0';
+      // Keep drawing through the fade, then rest
+      this.fadeTimers.set(view.sketch, setTimeout(() => {
+        view.sketch.noLoop();
+        this.fadeTimers.delete(view.sketch);
+      }, this.fade));
+    }
+    clearTimeout(this.fadeTimers.get(incoming.sketch));
+    this.fadeTimers.delete(incoming.sketch);
+    incoming.el.style.opacity = '1';
+    if (!this.paused()) incoming.sketch.loop();
+    this.showing.splice(0, this.showing.length, incoming.sketch);
+
+    const title = NERVE_SKETCH_TITLES[name] || name;
+    if (this.title.textContent !== title) {
+      this.title.style.opacity = '0';
+      setTimeout(() => {
+        this.title.textContent = title;
+        this.title.style.opacity = '1';
+      }, this.fade / 2);
+    }
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.advance(), duration);
+  }
+
+  // Paused with P (NerveInput stops the sketches in showing): the rotation
+  // waits rather than waking the next view
+  paused() {
+    return this.showing.length > 0 && !this.showing[0].isLooping();
+  }
+}
@@ -2,484 +2,520 @@
 // A single hand moves from 6 o'clock (noon/safe) clockwise toward 12 o'clock (midnight/crisis).
 // The hand trembles, pulses, breathes with the data.
 // Domain threads braid into the hand. Visual style shifts with regime.
+//
+// createMidnightClockSketch(container, nerve) runs it in p5 instance mode inside
+// container, drawing from a NerveData the page may share with other sketches.
+// s is the p5 instance.
 
-let nerve;
-let clockRadius;
-let particles = [];
-let handAngle = 0;
-let targetAngle = 0;
-let breathPhase = 0;
-let tickMarks = [];
-let crackLines = [];
-let prevColors = null;
-let colorLerp = 0;
+function createMidnightClockSketch(container, nerve) {
+  let s;
+  let clockRadius;
+  let particles = [];
+  let handAngle = 0;
+  let targetAngle = 0;
+  let breathPhase = 0;
+  let tickMarks = [];
+  let crackLines = [];
 
-function setup() {
-  createCanvas(windowWidth, windowHeight);
-  pixelDensity(1);
-  nerve = new NerveData();
-  nerve.fetchLive();
-  
-  clockRadius = min(width, height) * 0.32;
-  
-  // Generate tick marks (60 minute marks around the full circle)
-  for (let i = 0; i < 60; i++) {
-    let angle = map(i, 0, 60, 0, TWO_PI) - HALF_PI; // start from 12 o'clock
-    let isMajor = i % 5 === 0;
-    tickMarks.push({ angle, isMajor, wobble: random(0.001, 0.003), idx: i });
-  }
-  
-  // Generate crack lines for CRITICAL regime
-  for (let i = 0; i < 40; i++) {
-    let a = random(TWO_PI);
-    let r = random(clockRadius * 0.2, clockRadius * 1.3);
-    let pts = [];
-    let x = cos(a) * r;
-    let y = sin(a) * r;
-    for (let j = 0; j < random(3, 10); j++) {
-      pts.push({ x: x + random(-15, 15), y: y + random(-15, 15) });
-      x += random(-25, 25);
-      y += random(-25, 25);
+  function setup() {
+    createNerveCanvas(s, container, resized);
+    s.pixelDensity(1);
+    
+    clockRadius = s.min(s.width, s.height) * 0.32;
+    
+    // Generate tick marks (60 minute marks around the full circle)
+    for (let i = 0; i < 60; i++) {
+      let angle = s.map(i, 0, 60, 0, s.TWO_PI) - s.HALF_PI; // start from 12 o'clock
+      let isMajor = i % 5 === 0;
+      tickMarks.push({ angle, isMajor, wobble: s.random(0.001, 0.003), idx: i });
+    }
+    
+    // Generate crack lines for CRITICAL regime
+    for (let i = 0; i < 40; i++) {
+      let a = s.random(s.TWO_PI);
+      let r = s.random(clockRadius * 0.2, clockRadius * 1.3);
+      let pts = [];
+      let x = s.cos(a) * r;
+      let y = s.sin(a) * r;
+      for (let j = 0; j < s.random(3, 10); j++) {
+        pts.push({ x: x + s.random(-15, 15), y: y + s.random(-15, 15) });
+        x += s.random(-25, 25);
+        y += s.random(-25, 25);
+      }
+      crackLines.push({ pts, alpha: s.random(0.2, 0.9), threshold: s.random(0.7, 0.9) });
     }
-    crackLines.push({ pts, alpha: random(0.2, 0.9), threshold: random(0.7, 0.9) });
   }
-}
 
-function draw() {
-  nerve.update();
-  
-  let colors = nerve.getRegimeColors();
-  breathPhase += 0.012;
-  
-  // Hand angle: 0.0 edge score = 6 o'clock (bottom, HALF_PI)
-  //             1.0 edge score = 12 o'clock (top, -HALF_PI or 3*HALF_PI)
-  // Moving clockwise from 6 o'clock through 9, 12
-  // In p5 angles: 6 o'clock = HALF_PI, going clockwise means increasing angle
-  // 6 o'clock (HALF_PI) → 9 o'clock (PI) → 12 o'clock (PI + HALF_PI or -HALF_PI)
-  targetAngle = HALF_PI + nerve.edgeScore * PI; // sweeps 180° clockwise from 6 to 12
-  handAngle = lerp(handAngle, targetAngle, 0.012);
-  
-  // Background with regime color
-  background(colors.bg[0], colors.bg[1], colors.bg[2]);
-  
-  push();
-  translate(width / 2, height / 2);
-  
-  // Ambient radial glow
-  drawAmbientGlow(colors);
-  
-  // Draw crack lines in CRITICAL
-  if (nerve.regime === 'CRITICAL' || nerve.edgeScore > 0.75) {
-    drawCracks(colors);
+  function draw() {
+    nerve.update();
+    
+    let colors = nerve.getRegimeColors();
+    breathPhase += nerve.reducedMotion ? 0.003 : 0.012;
+    
+    // Hand angle: 0.0 edge score = 6 o'clock (bottom, HALF_PI)
+    //             1.0 edge score = 12 o'clock (top, -HALF_PI or 3*HALF_PI)
+    // Moving clockwise from 6 o'clock through 9, 12
+    // In p5 angles: 6 o'clock = HALF_PI, going clockwise means increasing angle
+    // 6 o'clock (HALF_PI) → 9 o'clock (PI) → 12 o'clock (PI + HALF_PI or -HALF_PI)
+    targetAngle = s.HALF_PI + nerve.edgeScore * s.PI; // sweeps 180° clockwise from 6 to 12
+    handAngle = s.lerp(handAngle, targetAngle, nerve.reducedMotion ? 0.005 : 0.012);
+    
+    // Background with regime color
+    s.background(colors.bg[0], colors.bg[1], colors.bg[2]);
+    
+    s.push();
+    s.translate(s.width / 2, s.height / 2);
+    
+    // Ambient radial glow
+    drawAmbientGlow(colors);
+    
+    // Draw crack lines in CRITICAL
+    if (nerve.regime === 'CRITICAL' || nerve.edgeScore > 0.75) {
+      drawCracks(colors);
+    }
+    
+    // Draw the clock face ring and ticks
+    drawClockFace(colors);
+    
+    // Draw hour markers
+    drawHourMarkers(colors);
+    
+    // Draw domain threads braiding into hand
+    drawDomainThreads(colors);
+    
+    // Draw where the hand is heading
+    drawMomentumGhost(colors);
+    
+    // Draw the main hand
+    drawHand(colors);
+    
+    // Draw center hub
+    drawCenterHub(colors);
+    
+    // Draw midnight danger marker
+    drawMidnightMarker(colors);
+    
+    s.pop();
+    
+    // Draw edge score
+    drawScoreText(colors);
+    
+    // Draw regime label
+    drawRegimeLabel(colors);
+    
+    // Update particles
+    updateParticles(colors);
   }
-  
-  // Draw the clock face ring and ticks
-  drawClockFace(colors);
-  
-  // Draw hour markers
-  drawHourMarkers(colors);
-  
-  // Draw domain threads braiding into hand
-  drawDomainThreads(colors);
-  
-  // Draw the main hand
-  drawHand(colors);
-  
-  // Draw center hub
-  drawCenterHub(colors);
-  
-  // Draw midnight danger marker
-  drawMidnightMarker(colors);
-  
-  pop();
-  
-  // Draw edge score
-  drawScoreText(colors);
-  
-  // Draw regime label
-  drawRegimeLabel(colors);
-  
-  // Update particles
-  updateParticles(colors);
-  
-  // Sim badge
-  document.getElementById('sim-badge').className = nerve.simMode ? 'active' : '';
-}
 
-function drawAmbientGlow(colors) {
-  let pulseAmt = sin(breathPhase) * 0.12 + 0.88;
-  let glowSize = clockRadius * (2.0 + nerve.edgeScore * 1.0) * pulseAmt;
-  
-  for (let r = glowSize; r > 0; r -= 5) {
-    let t = r / glowSize;
-    let alpha = (1 - t) * (6 + nerve.edgeScore * 10);
-    noStroke();
-    fill(colors.primary[0], colors.primary[1], colors.primary[2], alpha);
-    ellipse(0, 0, r, r);
+  function drawAmbientGlow(colors) {
+    let pulseAmt = s.sin(breathPhase) * 0.12 + 0.88;
+    let glowSize = clockRadius * (2.0 + nerve.edgeScore * 1.0) * pulseAmt;
+    
+    for (let r = glowSize; r > 0; r -= 5) {
+      let t = r / glowSize;
+      let alpha = (1 - t) * (6 + nerve.edgeScore * 10);
+      s.noStroke();
+      s.fill(colors.primary[0], colors.primary[1], colors.primary[2], alpha);
+      s.ellipse(0, 0, r, r);
+    }
   }
-}
 
-function drawClockFace(colors) {
-  // Outer ring
-  noFill();
-  let ringPulse = sin(breathPhase * 0.5) * 5 + 40;
-  stroke(colors.primary[0], colors.primary[1], colors.primary[2], ringPulse);
-  strokeWeight(1.5);
-  ellipse(0, 0, clockRadius * 2, clockRadius * 2);
-  
-  // Faint second ring
-  stroke(colors.secondary[0], colors.secondary[1], colors.secondary[2], ringPulse * 0.3);
-  strokeWeight(0.5);
-  ellipse(0, 0, clockRadius * 2.06, clockRadius * 2.06);
-  
-  // Tick marks
-  for (let tick of tickMarks) {
-    let wobble = sin(breathPhase * 2 + tick.angle * 3) * tick.wobble * nerve.edgeScore * 25;
-    let innerR = tick.isMajor ? clockRadius * 0.87 : clockRadius * 0.93;
-    let outerR = clockRadius * 0.98;
-    
-    let a = tick.angle + wobble;
-    let x1 = cos(a) * innerR;
-    let y1 = sin(a) * innerR;
-    let x2 = cos(a) * outerR;
-    let y2 = sin(a) * outerR;
-    
-    let tickAlpha = tick.isMajor ? 70 : 30;
-    
-    // Brighten ticks near the hand
-    let angleDist = abs(angleDifference(a, handAngle));
-    if (angleDist < 0.4) {
-      tickAlpha += map(angleDist, 0, 0.4, 100, 0);
-    }
+  function drawClockFace(colors) {
+    // Outer ring
+    s.noFill();
+    let ringPulse = s.sin(breathPhase * 0.5) * 5 + 40;
+    s.stroke(colors.primary[0], colors.primary[1], colors.primary[2], ringPulse);
+    s.strokeWeight(1.5);
+    s.ellipse(0, 0, clockRadius * 2, clockRadius * 2);
     
-    // Ticks in the "danger zone" (near midnight) glow red
-    let midnightDist = abs(angleDifference(tick.angle, -HALF_PI));
-    if (midnightDist < 0.6 && nerve.edgeScore > 0.5) {
-      let dangerMix = (1 - midnightDist / 0.6) * (nerve.edgeScore - 0.5) * 2;
-      stroke(
-        lerp(colors.primary[0], 255, dangerMix * 0.5),
-        lerp(colors.primary[1], 40, dangerMix * 0.5),
-        lerp(colors.primary[2], 20, dangerMix * 0.5),
-        tickAlpha
-      );
-    } else {
-      stroke(colors.primary[0], colors.primary[1], colors.primary[2], tickAlpha);
-    }
+    // Faint second ring
+    s.stroke(colors.secondary[0], colors.secondary[1], colors.secondary[2], ringPulse * 0.3);
+    s.strokeWeight(0.5);
+    s.ellipse(0, 0, clockRadius * 2.06, clockRadius * 2.06);
     
-    strokeWeight(tick.isMajor ? 2 : 0.8);
-    line(x1, y1, x2, y2);
+    // Tick marks
+    for (let tick of tickMarks) {
+      let wobble = s.sin(breathPhase * 2 + tick.angle * 3) * tick.wobble * nerve.edgeScore * 25;
+      let innerR = tick.isMajor ? clockRadius * 0.87 : clockRadius * 0.93;
+      let outerR = clockRadius * 0.98;
+      
+      let a = tick.angle + wobble;
+      let x1 = s.cos(a) * innerR;
+      let y1 = s.sin(a) * innerR;
+      let x2 = s.cos(a) * outerR;
+      let y2 = s.sin(a) * outerR;
+      
+      let tickAlpha = tick.isMajor ? 70 : 30;
+      
+      // Brighten ticks near the hand
+      let angleDist = s.abs(angleDifference(a, handAngle));
+      if (angleDist < 0.4) {
+        tickAlpha += s.map(angleDist, 0, 0.4, 100, 0);
+      }
+      
+      // Ticks in the "danger zone" (near midnight) glow red
+      let midnightDist = s.abs(angleDifference(tick.angle, -s.HALF_PI));
+      if (midnightDist < 0.6 && nerve.edgeScore > 0.5) {
+        let dangerMix = (1 - midnightDist / 0.6) * (nerve.edgeScore - 0.5) * 2;
+        s.stroke(
+          s.lerp(colors.primary[0], 255, dangerMix * 0.5),
+          s.lerp(colors.primary[1], 40, dangerMix * 0.5),
+          s.lerp(colors.primary[2], 20, dangerMix * 0.5),
+          tickAlpha
+        );
+      } else {
+        s.stroke(colors.primary[0], colors.primary[1], colors.primary[2], tickAlpha);
+      }
+      
+      s.strokeWeight(tick.isMajor ? 2 : 0.8);
+      s.line(x1, y1, x2, y2);
+    }
   }
-}
 
-function drawHourMarkers(colors) {
-  textAlign(CENTER, CENTER);
-  textFont('Courier New');
-  textSize(13);
-  noStroke();
-  
-  let labelR = clockRadius * 1.12;
-  
-  // XII at top (midnight) — always prominent
-  let midnightAlpha = 60 + nerve.edgeScore * 60;
-  fill(colors.primary[0], colors.primary[1], colors.primary[2], midnightAlpha);
-  text('XII', cos(-HALF_PI) * labelR, sin(-HALF_PI) * labelR);
-  
-  // VI at bottom (noon/safe) — subtle
-  fill(colors.primary[0], colors.primary[1], colors.primary[2], 25);
-  text('VI', cos(HALF_PI) * labelR, sin(HALF_PI) * labelR);
-  
-  // III and IX
-  fill(colors.primary[0], colors.primary[1], colors.primary[2], 18);
-  text('III', cos(0) * labelR, sin(0) * labelR);
-  text('IX', cos(PI) * labelR, sin(PI) * labelR);
-}
+  function drawHourMarkers(colors) {
+    s.textAlign(s.CENTER, s.CENTER);
+    s.textFont('Courier New');
+    s.textSize(13);
+    s.noStroke();
+    
+    let labelR = clockRadius * 1.12;
+    
+    // XII at top (midnight) — always prominent
+    let midnightAlpha = 60 + nerve.edgeScore * 60;
+    s.fill(colors.primary[0], colors.primary[1], colors.primary[2], midnightAlpha);
+    s.text('XII', s.cos(-s.HALF_PI) * labelR, s.sin(-s.HALF_PI) * labelR);
+    
+    // VI at bottom (noon/safe) — subtle
+    s.fill(colors.primary[0], colors.primary[1], colors.primary[2], 25);
+    s.text('VI', s.cos(s.HALF_PI) * labelR, s.sin(s.HALF_PI) * labelR);
+    
+    // III and IX
+    s.fill(colors.primary[0], colors.primary[1], colors.primary[2], 18);
+    s.text('III', s.cos(0) * labelR, s.sin(0) * labelR);
+    s.text('IX', s.cos(s.PI) * labelR, s.sin(s.PI) * labelR);
+  }
 
-function drawDomainThreads(colors) {
-  let domains = nerve.getDomainNames();
-  
-  for (let i = 0; i < domains.length; i++) {
-    let domain = domains[i];
-    let domainScore = nerve.domains[domain].score;
-    let domainColor = nerve.getDomainColor(domain);
-    
-    // Each domain thread spirals from the center outward along the hand direction
-    // with slight angular offset
-    let offset = map(i, 0, domains.length, -0.12, 0.12);
-    let threadAngle = handAngle + offset;
-    let threadLength = clockRadius * 0.7 * (0.2 + domainScore * 0.8);
-    
-    noFill();
-    beginShape();
-    for (let t = 0; t < 1; t += 0.015) {
-      let r = threadLength * t;
-      let waveAmp = (5 + domainScore * 18) * (1 - t * 0.7);
-      let wobble = sin(breathPhase * 3 + t * 12 + i * 2.5) * waveAmp;
-      wobble += cos(breathPhase * 5 + t * 8 + i * 1.7) * waveAmp * 0.3;
+  function drawDomainThreads(colors) {
+    let domains = nerve.getDomainNames();
+    
+    for (let i = 0; i < domains.length; i++) {
+      let domain = domains[i];
+      let domainScore = nerve.domains[domain].score;
+      let domainColor = nerve.getDomainColor(domain);
       
-      let x = cos(threadAngle) * r + cos(threadAngle + HALF_PI) * wobble;
-      let y = sin(threadAngle) * r + sin(threadAngle + HALF_PI) * wobble;
+      // Each domain thread spirals from the center outward along the hand direction
+      // with slight angular offset
+      let offset = s.map(i, 0, domains.length, -0.12, 0.12);
+      let threadAngle = handAngle + offset;
+      let threadLength = clockRadius * 0.7 * (0.2 + domainScore * 0.8);
       
-      let alpha = map(t, 0, 1, 3, 50) * domainScore;
-      stroke(domainColor[0], domainColor[1], domainColor[2], alpha);
-      strokeWeight(0.8 + domainScore * 2.5 * (1 - t * 0.6));
-      vertex(x, y);
-    }
-    endShape();
-    
-    // Spawn particles along active threads
-    if (random() < domainScore * 0.25) {
-      let t = random(0.15, 0.85);
-      let r = threadLength * t;
-      let wobble = sin(breathPhase * 3 + t * 12 + i * 2.5) * (5 + domainScore * 18) * (1 - t * 0.7);
-      particles.push({
-        x: width/2 + cos(threadAngle) * r + cos(threadAngle + HALF_PI) * wobble,
-        y: height/2 + sin(threadAngle) * r + sin(threadAngle + HALF_PI) * wobble,
-        vx: random(-0.5, 0.5),
-        vy: random(-0.5, 0.5),
-        life: 1,
-        decay: random(0.008, 0.025),
-        size: random(1, 3.5),
-        color: domainColor
-      });
+      s.noFill();
+      s.beginShape();
+      for (let t = 0; t < 1; t += 0.015) {
+        let r = threadLength * t;
+        let waveAmp = (5 + domainScore * 18) * (1 - t * 0.7);
+        let wobble = s.sin(breathPhase * 3 + t * 12 + i * 2.5) * waveAmp;
+        wobble += s.cos(breathPhase * 5 + t * 8 + i * 1.7) * waveAmp * 0.3;
+        
+        let x = s.cos(threadAngle) * r + s.cos(threadAngle + s.HALF_PI) * wobble;
+        let y = s.sin(threadAngle) * r + s.sin(threadAngle + s.HALF_PI) * wobble;
+        
+        let alpha = s.map(t, 0, 1, 3, 50) * domainScore;
+        s.stroke(domainColor[0], domainColor[1], domainColor[2], alpha);
+        s.strokeWeight(0.8 + domainScore * 2.5 * (1 - t * 0.6));
+        s.vertex(x, y);
+      }
+      s.endShape();
+      
+      // Spawn particles along active threads
+      if (!nerve.reducedMotion && s.random() < domainScore * 0.25) {
+        let t = s.random(0.15, 0.85);
+        let r = threadLength * t;
+        let wobble = s.sin(breathPhase * 3 + t * 12 + i * 2.5) * (5 + domainScore * 18) * (1 - t * 0.7);
+        particles.push({
+          x: s.width/2 + s.cos(threadAngle) * r + s.cos(threadAngle + s.HALF_PI) * wobble,
+          y: s.height/2 + s.sin(threadAngle) * r + s.sin(threadAngle + s.HALF_PI) * wobble,
+          vx: s.random(-0.5, 0.5),
+          vy: s.random(-0.5, 0.5),
+          life: 1,
+          decay: s.random(0.008, 0.025),
+          size: s.random(1, 3.5),
+          color: domainColor
+        });
+      }
     }
   }
-}
 
-function drawHand(colors) {
-  // Trembling increases with edge score
-  let trembleAmt = nerve.edgeScore * 0.025;
-  let tremble = sin(breathPhase * 7) * trembleAmt 
-              + cos(breathPhase * 11) * trembleAmt * 0.6
-              + sin(breathPhase * 17) * trembleAmt * 0.3;
-  let currentAngle = handAngle + tremble;
-  
-  let handLength = clockRadius * 0.82;
-  let tipX = cos(currentAngle) * handLength;
-  let tipY = sin(currentAngle) * handLength;
-  
-  // Wide glow behind hand
-  let glowPulse = sin(breathPhase * 2) * 0.25 + 0.75;
-  for (let w = 24; w > 0; w -= 1.5) {
-    stroke(colors.accent[0], colors.accent[1], colors.accent[2], (2.5 * glowPulse));
-    strokeWeight(w);
-    line(0, 0, tipX, tipY);
-  }
-  
-  // Main hand line
-  stroke(colors.accent[0], colors.accent[1], colors.accent[2], 220);
-  strokeWeight(2.5);
-  line(0, 0, tipX, tipY);
-  
-  // Bright white core line
-  stroke(255, 255, 255, 60);
-  strokeWeight(1);
-  line(0, 0, tipX, tipY);
-  
-  // Tip glow
-  let tipGlow = sin(breathPhase * 4) * 3 + 7;
-  noStroke();
-  for (let r = tipGlow * 3; r > 0; r -= 2) {
-    fill(colors.accent[0], colors.accent[1], colors.accent[2], map(r, 0, tipGlow * 3, 40, 0));
-    ellipse(tipX, tipY, r, r);
+  function drawHand(colors) {
+    // Trembling increases with edge score
+    let trembleAmt = nerve.reducedMotion ? 0 : nerve.edgeScore * 0.025;
+    let tremble = s.sin(breathPhase * 7) * trembleAmt 
+                + s.cos(breathPhase * 11) * trembleAmt * 0.6
+                + s.sin(breathPhase * 17) * trembleAmt * 0.3;
+    let currentAngle = handAngle + tremble;
+    
+    let handLength = clockRadius * 0.82;
+    let tipX = s.cos(currentAngle) * handLength;
+    let tipY = s.sin(currentAngle) * handLength;
+    
+    // Wide glow behind hand
+    let glowPulse = s.sin(breathPhase * 2) * 0.25 + 0.75;
+    for (let w = 24; w > 0; w -= 1.5) {
+      s.stroke(colors.accent[0], colors.accent[1], colors.accent[2], (2.5 * glowPulse));
+      s.strokeWeight(w);
+      s.line(0, 0, tipX, tipY);
+    }
+    
+    // Main hand line
+    s.stroke(colors.accent[0], colors.accent[1], colors.accent[2], 220);
+    s.strokeWeight(2.5);
+    s.line(0, 0, tipX, tipY);
+    
+    // Bright white core line
+    s.stroke(255, 255, 255, 60);
+    s.strokeWeight(1);
+    s.line(0, 0, tipX, tipY);
+    
+    // Tip glow
+    let tipGlow = s.sin(breathPhase * 4) * 3 + 7;
+    s.noStroke();
+    for (let r = tipGlow * 3; r > 0; r -= 2) {
+      s.fill(colors.accent[0], colors.accent[1], colors.accent[2], s.map(r, 0, tipGlow * 3, 40, 0));
+      s.ellipse(tipX, tipY, r, r);
+    }
+    s.fill(255, 255, 255, 100);
+    s.ellipse(tipX, tipY, tipGlow * 0.4, tipGlow * 0.4);
+    
+    // Counter-balance tail
+    let tailLength = clockRadius * 0.12;
+    let tailX = s.cos(currentAngle + s.PI) * tailLength;
+    let tailY = s.sin(currentAngle + s.PI) * tailLength;
+    s.stroke(colors.accent[0], colors.accent[1], colors.accent[2], 80);
+    s.strokeWeight(2.5);
+    s.line(0, 0, tailX, tailY);
   }
-  fill(255, 255, 255, 100);
-  ellipse(tipX, tipY, tipGlow * 0.4, tipGlow * 0.4);
-  
-  // Counter-balance tail
-  let tailLength = clockRadius * 0.12;
-  let tailX = cos(currentAngle + PI) * tailLength;
-  let tailY = sin(currentAngle + PI) * tailLength;
-  stroke(colors.accent[0], colors.accent[1], colors.accent[2], 80);
-  strokeWeight(2.5);
-  line(0, 0, tailX, tailY);
-}
 
-function drawCenterHub(colors) {
-  let pulse = sin(breathPhase * 2) * 2 + 9;
-  
-  // Outer glow
-  for (let r = 35; r > 0; r -= 1.5) {
-    noStroke();
-    fill(colors.accent[0], colors.accent[1], colors.accent[2], map(r, 0, 35, 20, 0));
-    ellipse(0, 0, r, r);
+  function drawMomentumGhost(colors) {
+    // A faint ghost hand leans ahead of the real one toward midnight when
+    // risk is worsening, and trails back toward VI when it is easing
+    let trend = nerve.momentumTrend;
+    if (s.abs(trend) < 0.05) return;
+    
+    let ghostAngle = handAngle + trend * 0.35;
+    let handLength = clockRadius * 0.82;
+    let strength = s.abs(trend);
+    
+    // Wedge swept between the hand and its ghost
+    s.noStroke();
+    s.fill(colors.accent[0], colors.accent[1], colors.accent[2], 10 * strength);
+    s.arc(0, 0, handLength * 2, handLength * 2, s.min(handAngle, ghostAngle), s.max(handAngle, ghostAngle), s.PIE);
+    
+    // Ghost hand
+    s.stroke(colors.accent[0], colors.accent[1], colors.accent[2], 70 * strength);
+    s.strokeWeight(1);
+    s.drawingContext.setLineDash([3, 6]);
+    s.line(0, 0, s.cos(ghostAngle) * handLength, s.sin(ghostAngle) * handLength);
+    s.drawingContext.setLineDash([]);
+    
+    // Arrowhead on the rim, pointing the way the hand is travelling
+    let rimR = handLength * 1.04;
+    let tipX = s.cos(ghostAngle) * rimR;
+    let tipY = s.sin(ghostAngle) * rimR;
+    let dir = ghostAngle + (trend > 0 ? s.HALF_PI : -s.HALF_PI);
+    s.noStroke();
+    s.fill(colors.accent[0], colors.accent[1], colors.accent[2], 120 * strength);
+    s.triangle(
+      tipX + s.cos(dir) * 7, tipY + s.sin(dir) * 7,
+      tipX + s.cos(dir + 2.5) * 5, tipY + s.sin(dir + 2.5) * 5,
+      tipX + s.cos(dir - 2.5) * 5, tipY + s.sin(dir - 2.5) * 5
+    );
   }
-  
-  // Hub
-  fill(colors.accent[0], colors.accent[1], colors.accent[2], 200);
-  noStroke();
-  ellipse(0, 0, pulse, pulse);
-  
-  // White core
-  fill(255, 255, 255, 180);
-  ellipse(0, 0, pulse * 0.35, pulse * 0.35);
-}
 
-function drawMidnightMarker(colors) {
-  // Midnight marker at 12 o'clock (top)
-  let markerAngle = -HALF_PI;
-  let mInner = clockRadius * 0.98;
-  let mOuter = clockRadius * 1.08;
-  
-  let mx1 = cos(markerAngle) * mInner;
-  let my1 = sin(markerAngle) * mInner;
-  let mx2 = cos(markerAngle) * mOuter;
-  let my2 = sin(markerAngle) * mOuter;
-  
-  // Proximity of hand to midnight
-  let proximity = 1 - abs(angleDifference(handAngle, markerAngle)) / PI;
-  proximity = constrain(proximity, 0, 1);
-  proximity = pow(proximity, 2);
-  
-  let pulse = sin(breathPhase * 3) * 0.3 + 0.7;
-  
-  // Danger glow
-  let glowAlpha = proximity * 50 * pulse;
-  for (let r = 50; r > 0; r -= 3) {
-    noStroke();
-    fill(255, 40, 20, glowAlpha * (1 - r/50));
-    ellipse(mx2, my2, r, r);
-  }
-  
-  // Marker line
-  stroke(255, 40, 20, 50 + proximity * 180);
-  strokeWeight(3);
-  line(mx1, my1, mx2, my2);
-  
-  // Small flanking lines
-  for (let offset of [-0.05, 0.05]) {
-    let a = markerAngle + offset;
-    let x1 = cos(a) * (mInner + 2);
-    let y1 = sin(a) * (mInner + 2);
-    let x2 = cos(a) * (mOuter - 3);
-    let y2 = sin(a) * (mOuter - 3);
-    stroke(255, 40, 20, 30 + proximity * 80);
-    strokeWeight(1);
-    line(x1, y1, x2, y2);
+  function drawCenterHub(colors) {
+    let pulse = s.sin(breathPhase * 2) * 2 + 9;
+    
+    // Outer glow
+    for (let r = 35; r > 0; r -= 1.5) {
+      s.noStroke();
+      s.fill(colors.accent[0], colors.accent[1], colors.accent[2], s.map(r, 0, 35, 20, 0));
+      s.ellipse(0, 0, r, r);
+    }
+    
+    // Hub
+    s.fill(colors.accent[0], colors.accent[1], colors.accent[2], 200);
+    s.noStroke();
+    s.ellipse(0, 0, pulse, pulse);
+    
+    // White core
+    s.fill(255, 255, 255, 180);
+    s.ellipse(0, 0, pulse * 0.35, pulse * 0.35);
   }
-}
 
-function drawCracks(colors) {
-  let intensity = map(nerve.edgeScore, 0.75, 1, 0, 1);
-  intensity = constrain(intensity, 0, 1);
-  
-  for (let crack of crackLines) {
-    let crackVis = map(nerve.edgeScore, crack.threshold, crack.threshold + 0.1, 0, 1);
-    crackVis = constrain(crackVis, 0, 1);
-    if (crackVis <= 0) continue;
-    
-    // Flickering
-    if (random() > crackVis * crack.alpha * 0.8 + 0.2) continue;
-    
-    stroke(255, 50, 15, 25 * crackVis * crack.alpha);
-    strokeWeight(random(0.5, 2.5));
-    noFill();
-    beginShape();
-    for (let pt of crack.pts) {
-      let jitter = crackVis * 3;
-      vertex(pt.x + random(-jitter, jitter), pt.y + random(-jitter, jitter));
+  function drawMidnightMarker(colors) {
+    // Midnight marker at 12 o'clock (top)
+    let markerAngle = -s.HALF_PI;
+    let mInner = clockRadius * 0.98;
+    let mOuter = clockRadius * 1.08;
+    
+    let mx1 = s.cos(markerAngle) * mInner;
+    let my1 = s.sin(markerAngle) * mInner;
+    let mx2 = s.cos(markerAngle) * mOuter;
+    let my2 = s.sin(markerAngle) * mOuter;
+    
+    // Proximity of hand to midnight
+    let proximity = 1 - s.abs(angleDifference(handAngle, markerAngle)) / s.PI;
+    proximity = s.constrain(proximity, 0, 1);
+    proximity = s.pow(proximity, 2);
+    
+    let pulse = s.sin(breathPhase * 3) * 0.3 + 0.7;
+    
+    // Danger glow
+    let glowAlpha = proximity * 50 * pulse;
+    for (let r = 50; r > 0; r -= 3) {
+      s.noStroke();
+      s.fill(255, 40, 20, glowAlpha * (1 - r/50));
+      s.ellipse(mx2, my2, r, r);
+    }
+    
+    // Marker line
+    s.stroke(255, 40, 20, 50 + proximity * 180);
+    s.strokeWeight(3);
+    s.line(mx1, my1, mx2, my2);
+    
+    // Small flanking lines
+    for (let offset of [-0.05, 0.05]) {
+      let a = markerAngle + offset;
+      let x1 = s.cos(a) * (mInner + 2);
+      let y1 = s.sin(a) * (mInner + 2);
+      let x2 = s.cos(a) * (mOuter - 3);
+      let y2 = s.sin(a) * (mOuter - 3);
+      s.stroke(255, 40, 20, 30 + proximity * 80);
+      s.strokeWeight(1);
+      s.line(x1, y1, x2, y2);
     }
-    endShape();
-    
-    // Ember particles
-    if (random() < 0.03 * crackVis) {
-      let pt = random(crack.pts);
-      particles.push({
-        x: width/2 + pt.x,
-        y: height/2 + pt.y,
-        vx: random(-0.8, 0.8),
-        vy: random(-1.5, -0.3),
-        life: 1,
-        decay: random(0.01, 0.04),
-        size: random(1, 3),
-        color: [255, random(50, 160), 15]
-      });
+  }
+
+  function drawCracks(colors) {
+    let intensity = s.map(nerve.edgeScore, 0.75, 1, 0, 1);
+    intensity = s.constrain(intensity, 0, 1);
+    
+    for (let crack of crackLines) {
+      let crackVis = s.map(nerve.edgeScore, crack.threshold, crack.threshold + 0.1, 0, 1);
+      crackVis = s.constrain(crackVis, 0, 1);
+      if (crackVis <= 0) continue;
+      
+      // Flickering (steady cracks in reduced motion)
+      let calm = nerve.reducedMotion;
+      if (!calm && s.random() > crackVis * crack.alpha * 0.8 + 0.2) continue;
+      
+      s.stroke(255, 50, 15, 25 * crackVis * crack.alpha);
+      s.strokeWeight(calm ? 1.5 : s.random(0.5, 2.5));
+      s.noFill();
+      s.beginShape();
+      for (let pt of crack.pts) {
+        let jitter = calm ? 0 : crackVis * 3;
+        s.vertex(pt.x + s.random(-jitter, jitter), pt.y + s.random(-jitter, jitter));
+      }
+      s.endShape();
+      
+      // Ember particles
+      if (!calm && s.random() < 0.03 * crackVis) {
+        let pt = s.random(crack.pts);
+        particles.push({
+          x: s.width/2 + pt.x,
+          y: s.height/2 + pt.y,
+          vx: s.random(-0.8, 0.8),
+          vy: s.random(-1.5, -0.3),
+          life: 1,
+          decay: s.random(0.01, 0.04),
+          size: s.random(1, 3),
+          color: [255, s.random(50, 160), 15]
+        });
+      }
     }
   }
-}
 
-function drawScoreText(colors) {
-  let scoreStr = nf(nerve.edgeScore, 1, 3);
-  let pulse = sin(breathPhase * 2) * 0.06 + 0.94;
-  
-  push();
-  textAlign(CENTER, CENTER);
-  textFont('Courier New');
-  
-  // Score below center
-  textSize(44);
-  fill(colors.accent[0], colors.accent[1], colors.accent[2], 170 * pulse);
-  text(scoreStr, width/2, height/2 + clockRadius * 0.42);
-  
-  // Label
-  textSize(9);
-  fill(colors.primary[0], colors.primary[1], colors.primary[2], 40);
-  text('EDGE SCORE', width/2, height/2 + clockRadius * 0.42 + 28);
-  
-  pop();
-}
+  function drawScoreText(colors) {
+    let scoreStr = s.nf(nerve.edgeScore, 1, 3);
+    let pulse = s.sin(breathPhase * 2) * 0.06 + 0.94;
+    
+    s.push();
+    s.textAlign(s.CENTER, s.CENTER);
+    s.textFont('Courier New');
+    
+    // Score below center
+    s.textSize(44);
+    s.fill(colors.accent[0], colors.accent[1], colors.accent[2], 170 * pulse);
+    s.text(scoreStr, s.width/2, s.height/2 + clockRadius * 0.42);
+    
+    // Label
+    s.textSize(9);
+    s.fill(colors.primary[0], colors.primary[1], colors.primary[2], 40);
+    s.text('EDGE SCORE', s.width/2, s.height/2 + clockRadius * 0.42 + 28);
+    
+    s.pop();
+  }
 
-function drawRegimeLabel(colors) {
-  push();
-  textAlign(CENTER, CENTER);
-  textFont('Courier New');
-  textSize(11);
-  
-  let labelAlpha = 35 + sin(breathPhase) * 12;
-  fill(colors.primary[0], colors.primary[1], colors.primary[2], labelAlpha);
-  text(nerve.regime, width/2, height/2 - clockRadius * 0.35);
-  
-  textSize(8);
-  fill(colors.secondary[0], colors.secondary[1], colors.secondary[2], 25);
-  text('FRAGILITY ' + nf(nerve.fragility, 1, 2), width/2, height/2 - clockRadius * 0.35 + 16);
-  
-  pop();
-}
+  function drawRegimeLabel(colors) {
+    s.push();
+    s.textAlign(s.CENTER, s.CENTER);
+    s.textFont('Courier New');
+    s.textSize(11);
+    
+    let labelAlpha = 35 + s.sin(breathPhase) * 12;
+    s.fill(colors.primary[0], colors.primary[1], colors.primary[2], labelAlpha);
+    s.text(nerve.regime, s.width/2, s.height/2 - clockRadius * 0.35);
+    
+    s.textSize(8);
+    s.fill(colors.secondary[0], colors.secondary[1], colors.secondary[2], 25);
+    s.text('FRAGILITY ' + s.nf(nerve.fragility, 1, 2), s.width/2, s.height/2 - clockRadius * 0.35 + 16);
+    s.text(nerve.getMomentumLabel(), s.width/2, s.height/2 - clockRadius * 0.35 + 28);
+    
+    s.pop();
+  }
 
-function updateParticles(colors) {
-  for (let i = particles.length - 1; i >= 0; i--) {
-    let p = particles[i];
-    p.x += p.vx;
-    p.y += p.vy;
-    p.life -= p.decay;
-    
-    if (p.life <= 0) {
-      particles.splice(i, 1);
-      continue;
+  function updateParticles(colors) {
+    for (let i = particles.length - 1; i >= 0; i--) {
+      let p = particles[i];
+      p.x += p.vx;
+      p.y += p.vy;
+      p.life -= p.decay;
+      
+      if (p.life <= 0) {
+        particles.splice(i, 1);
+        continue;
+      }
+      
+      s.noStroke();
+      s.fill(p.color[0], p.color[1], p.color[2], p.life * 100);
+      s.ellipse(p.x, p.y, p.size * p.life, p.size * p.life);
     }
     
-    noStroke();
-    fill(p.color[0], p.color[1], p.color[2], p.life * 100);
-    ellipse(p.x, p.y, p.size * p.life, p.size * p.life);
-  }
-  
-  if (particles.length > 600) {
-    particles.splice(0, particles.length - 600);
+    if (particles.length > 600) {
+      particles.splice(0, particles.length - 600);
+    }
   }
-}
 
-// Utility: shortest angular difference
-function angleDifference(a, b) {
-  let diff = ((b - a + PI) % TWO_PI) - PI;
-  if (diff < -PI) diff += TWO_PI;
-  return diff;
-}
-
-function mousePressed() {
-  nerve.simMode = true;
-  nerve.nextSimLevel();
-  document.getElementById('sim-badge').className = 'active';
-}
+  // Utility: shortest angular difference
+  function angleDifference(a, b) {
+    let diff = ((b - a + s.PI) % s.TWO_PI) - s.PI;
+    if (diff < -s.PI) diff += s.TWO_PI;
+    return diff;
+  }
 
-function keyPressed() {
-  if (key === ' ') {
-    nerve.toggleSimMode();
-    if (!nerve.simMode) {
-      document.getElementById('sim-badge').className = '';
-    }
+  // After createNerveCanvas has fitted the canvas to a new container size
+  function resized() {
+    clockRadius = s.min(s.width, s.height) * 0.32;
   }
+  
+  let sketch = new p5(instance => {
+    s = instance;
+    s.setup = setup;
+    s.draw = draw;
+  }, container);
+  sketch.nerveName = 'midnight-clock';
+  sketch.svg = true; // face, hand and threads are plain vector shapes
+  return sketch;
 }
 
-function windowResized() {
-  resizeCanvas(windowWidth, windowHeight);
-  clockRadius = min(width, height) * 0.32;
-}
+NERVE_SKETCHES.clock = createMidnightClockSketch;
@@ -0,0 +1,356 @@
+// Mock Nerve Engine
+// A stand-in for the remote engine so the sketches can be developed and
+// tested offline. Node builtins only — no install step.
+//
+//   node mock-server/server.js                       seeded generative data
+//   node mock-server/server.js --seed 42 --port 8787
+//   node mock-server/server.js --scenario shared/scenarios/supply-chain-shock.json
+//
+// Endpoints (same JSON shape as the real engine):
+//   GET /current          latest payload
+//   GET /history?days=30  hourly payloads for the last N days (at most 365)
+//   GET /stream           server-sent events, or a WebSocket on upgrade
+//   GET /control          show or change failure injection at runtime,
+//                         e.g. /control?fail=500&rate=0.5, /control?fail=off
+//   POST /webhook         logs alerts the sketches send (?webhook=…/webhook)
+//
+// Failure injection, for exercising the sketches' fallback and recovery:
+//   --fail timeout    hold the request open without answering
+//   --fail html       answer with a non-JSON content type
+//   --fail 500        answer HTTP 500
+//   --fail malformed  answer with a truncated JSON body
+// Several can be given comma-separated (one is picked per request), with
+// --fail-rate 0.3 to fail only some requests. A single request can ask for
+// one with ?fail=500.
+//
+// Point a sketch at it with
+//   ?url=http://localhost:8787/current
+//   ?source=sse&url=http://localhost:8787/stream
+//   ?source=ws&url=ws://localhost:8787/stream
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { NerveScenario } = require('../shared/nerve-scenario.js');
+const { NerveSimGenerator } = require('../shared/nerve-generator.js');
+
+const DOMAINS = ['Markets', 'Climate', 'Information', 'Social/Conflict', 'Supply Chain'];
+const FAILURES = ['timeout', 'html', '500', 'malformed'];
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    seed: { type: 'string' },
+    scenario: { type: 'string' },
+    interval: { type: 'string', default: '2000' }, // ms between stream frames
+    fail: { type: 'string', default: '' },
+    'fail-rate': { type: 'string', default: '1' },
+    hang: { type: 'string', default: '30000' } // how long a 'timeout' failure holds the request
+  }
+});
+
+const failure = {
+  modes: [],
+  rate: 1
+};
+
+function setFailure(modes, rate) {
+  const list = modes === 'off' ? [] : modes.split(',').map(m => m.trim()).filter(Boolean);
+  for (const m of list) {
+    if (!FAILURES.includes(m)) throw new Error(`Unknown failure "${m}" (use ${FAILURES.join(', ')})`);
+  }
+  const hasRate = rate !== undefined && rate !== null;
+  if (hasRate && (rate === '' || !isFinite(Number(rate)))) {
+    throw new Error(`Failure rate "${rate}" is not a number (use 0 to 1)`);
+  }
+  failure.modes = list;
+  if (hasRate) failure.rate = Math.min(Math.max(Number(rate), 0), 1);
+}
+
+// The failure to inject for this request, if any
+function pickFailure(query) {
+  if (query.has('fail')) return FAILURES.includes(query.get('fail')) ? query.get('fail') : null;
+  if (!failure.modes.length || Math.random() >= failure.rate) return null;
+  return failure.modes[Math.floor(Math.random() * failure.modes.length)];
+}
+
+// --- Data: a looping scenario, or the seeded generator stepped once a second ---
+
+const startedAt = Date.now();
+let scenario = null;
+let generator = null;
+
+function seedOption() {
+  if (args.seed === undefined) return {};
+  return { seed: isNaN(Number(args.seed)) ? args.seed : Number(args.seed) };
+}
+
+if (args.scenario) {
+  scenario = new NerveScenario(JSON.parse(fs.readFileSync(path.resolve(args.scenario), 'utf8')));
+} else {
+  generator = new NerveSimGenerator(DOMAINS, seedOption());
+  generator.step();
+  setInterval(() => generator.step(), 1000);
+}
+
+function currentFrame() {
+  if (scenario) {
+    const elapsed = (Date.now() - startedAt) / 1000;
+    return scenario.frameAt(scenario.duration ? elapsed % scenario.duration : 0);
+  }
+  return generator.frame();
+}
+
+const MAX_HISTORY_DAYS = 365; // a year of hourly frames is ~8760 payloads
+
+// Hourly frames ending now. Scenarios are stretched over the whole window;
+// the generator gets its own copy (same seed) stepped once per hour.
+function historyFrames(days) {
+  const count = Math.max(1, Math.round(days * 24));
+  const now = Date.now();
+  const history = scenario ? null : new NerveSimGenerator(DOMAINS, seedOption());
+  const frames = [];
+  for (let i = 0; i < count; i++) {
+    let frame;
+    if (scenario) {
+      frame = scenario.frameAt(count > 1 ? (i / (count - 1)) * scenario.duration : 0);
+    } else {
+      history.step();
+      frame = history.frame();
+    }
+    frame.timestamp = new Date(now - (count - 1 - i) * 3600000).toISOString();
+    frames.push(frame);
+  }
+  return frames;
+}
+
+// --- HTTP ---
+
+function send(res, status, type, body) {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+function sendJSON(res, data) {
+  send(res, 200, 'application/json', JSON.stringify(data));
+}
+
+// Answer a request the way the chosen failure would; true if one was injected
+function injectFailure(res, mode, body) {
+  switch (mode) {
+    case 'timeout':
+      setTimeout(() => res.destroy(), Number(args.hang));
+      return true;
+    case 'html':
+      send(res, 200, 'text/html', '<html><body>Service waking up…</body></html>');
+      return true;
+    case '500':
+      send(res, 500, 'application/json', JSON.stringify({ error: 'Injected failure' }));
+      return true;
+    case 'malformed':
+      send(res, 200, 'application/json', body.slice(0, Math.floor(body.length / 2)));
+      return true;
+  }
+  return false;
+}
+
+function handleSSE(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive'
+  });
+  const push = () => {
+    const body = JSON.stringify(currentFrame());
+    // Mid-stream, only malformed frames make sense; the rest apply at connect
+    const bad = failure.modes.includes('malformed') && Math.random() < failure.rate;
+    res.write(`data: ${bad ? body.slice(0, Math.floor(body.length / 2)) : body}\n\n`);
+  };
+  push();
+  const timer = setInterval(push, Number(args.interval));
+  req.on('close', () => clearInterval(timer));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const query = url.searchParams;
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Accept, Content-Type'
+    });
+    res.end();
+    return;
+  }
+
+  if (url.pathname === '/control') {
+    try {
+      if (query.has('fail') || query.has('rate')) {
+        setFailure(query.has('fail') ? query.get('fail') : failure.modes.join(','), query.get('rate'));
+        console.log(`Failure injection: ${failure.modes.join(', ') || 'off'} at rate ${failure.rate}`);
+      }
+      sendJSON(res, failure);
+    } catch (e) {
+      send(res, 400, 'application/json', JSON.stringify({ error: e.message }));
+    }
+    return;
+  }
+
+  if (url.pathname === '/webhook' && req.method === 'POST') {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      try {
+        const alert = JSON.parse(text);
+        console.log(`Alert from ${alert.page || 'a sketch'}: ${alert.message}`);
+      } catch (e) {
+        console.log(`Webhook body was not JSON: ${text.slice(0, 200)}`);
+      }
+      send(res, 204, 'text/plain', '');
+    });
+    return;
+  }
+
+  let body;
+  if (url.pathname === '/current') {
+    body = JSON.stringify(currentFrame());
+  } else if (url.pathname === '/history') {
+    body = JSON.stringify(historyFrames(Math.min(Number(query.get('days')) || 30, MAX_HISTORY_DAYS)));
+  } else if (url.pathname === '/stream') {
+    body = '';
+  } else {
+    send(res, 404, 'application/json', JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  const mode = pickFailure(query);
+  if (mode) console.log(`${req.method} ${url.pathname} → injected ${mode}`);
+  if (injectFailure(res, mode, body || JSON.stringify(currentFrame()))) return;
+
+  if (url.pathname === '/stream') {
+    handleSSE(req, res);
+  } else {
+    send(res, 200, 'application/json', body);
+  }
+});
+
+// --- WebSocket (/stream on upgrade): server-to-client text frames only ---
+
+function wsFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Pull complete client frames off the buffer; returns what's left over
+function readClientFrames(buffer, onFrame) {
+  while (buffer.length >= 2) {
+    const opcode = buffer[0] & 0x0f;
+    let len = buffer[1] & 0x7f;
+    let offset = 2;
+    if (len === 126) {
+      if (buffer.length < 4) break;
+      len = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (len === 127) {
+      if (buffer.length < 10) break;
+      len = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    const masked = buffer[1] & 0x80;
+    const maskStart = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + len) break;
+    const payload = Buffer.from(buffer.subarray(offset, offset + len));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskStart + (i % 4)];
+    }
+    onFrame(opcode, payload);
+    buffer = buffer.subarray(offset + len);
+  }
+  return buffer;
+}
+
+server.on('upgrade', (req, socket) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== '/stream' || !req.headers['sec-websocket-key']) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+
+  const mode = pickFailure(url.searchParams);
+  if (mode) console.log(`WS /stream → injected ${mode}`);
+  if (mode === 'timeout') {
+    setTimeout(() => socket.destroy(), Number(args.hang));
+    return;
+  }
+  if (mode === '500' || mode === 'html') {
+    const status = mode === '500' ? '500 Internal Server Error' : '200 OK';
+    const type = mode === '500' ? 'application/json' : 'text/html';
+    socket.end(`HTTP/1.1 ${status}\r\nContent-Type: ${type}\r\nConnection: close\r\n\r\n`);
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+
+  const push = () => {
+    let body = JSON.stringify(currentFrame());
+    if (mode === 'malformed' || (failure.modes.includes('malformed') && Math.random() < failure.rate)) {
+      body = body.slice(0, Math.floor(body.length / 2));
+    }
+    socket.write(wsFrame(0x1, Buffer.from(body)));
+  };
+  push();
+  const timer = setInterval(push, Number(args.interval));
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    pending = readClientFrames(Buffer.concat([pending, chunk]), (opcode, payload) => {
+      if (opcode === 0x8) {
+        socket.end(wsFrame(0x8, payload));
+      } else if (opcode === 0x9) {
+        socket.write(wsFrame(0xA, payload));
+      }
+    });
+  });
+  socket.on('close', () => clearInterval(timer));
+  socket.on('error', () => clearInterval(timer));
+});
+
+setFailure(args.fail, args['fail-rate']);
+server.listen(Number(args.port), () => {
+  const data = scenario ? `scenario "${scenario.name}"` : `generator seed ${generator.seed}`;
+  console.log(`Mock Nerve Engine on http://localhost:${args.port} (${data})`);
+  if (failure.modes.length) {
+    console.log(`Failure injection: ${failure.modes.join(', ')} at rate ${failure.rate}`);
+  }
+});
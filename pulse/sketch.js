@@ -3,365 +3,435 @@
 // A continuous line that breathes with the rhythm of global risk.
 // Calm periods: slow, steady pulses. Stress: rapid, erratic.
 // The line splits into domain-colored threads that converge and diverge.
+//
+// createPulseSketch(container, nerve) runs it in p5 instance mode inside
+// container, drawing from a NerveData the page may share with other sketches.
+// s is the p5 instance. Pass { sound: false } to leave out the heartbeat
+// sound (nerve-audio.js), e.g. when another sketch on the page has it.
 
-let nerve;
-let history = [];
-let domainHistories = {};
-let maxHistory = 800;
-let phase = 0;
-let beatPhase = 0;
-let lastBeat = 0;
-let beatInterval = 2000; // ms between beats
-let scanX = 0;
-let trailBuffer;
-let afterglowParticles = [];
+function createPulseSketch(container, nerve, options = {}) {
+  let s;
+  let audio = options.sound === false ? null : new NerveAudio(nerve, Object.assign({}, nerve.audioConfig, { container }));
+  let history = [];
+  let domainHistories = {};
+  let maxHistory = 800;
+  let phase = 0;
+  let beatPhase = 0;
+  let lastBeat = 0;
+  let beatInterval = 2000; // ms between beats
+  let scanX = 0;
+  let trailBuffer;
+  let afterglowParticles = [];
 
-function setup() {
-  createCanvas(windowWidth, windowHeight);
-  pixelDensity(1);
-  nerve = new NerveData();
-  nerve.fetchLive();
-  
-  trailBuffer = createGraphics(width, height);
-  trailBuffer.background(0, 0);
-  
-  // Initialize domain histories
-  let domains = nerve.getDomainNames();
-  for (let d of domains) {
-    domainHistories[d] = [];
-  }
-  
-  // Pre-fill history
-  for (let i = 0; i < maxHistory; i++) {
-    history.push(0.1);
+  function setup() {
+    createNerveCanvas(s, container, resized);
+    s.pixelDensity(1);
+    
+    trailBuffer = s.createGraphics(s.width, s.height);
+    trailBuffer.background(0, 0);
+    
+    // Initialize domain histories
+    let domains = nerve.getDomainNames();
     for (let d of domains) {
-      domainHistories[d].push(0.01);
+      domainHistories[d] = [];
+    }
+    
+    // Pre-fill history
+    for (let i = 0; i < maxHistory; i++) {
+      history.push(0.1);
+      for (let d of domains) {
+        domainHistories[d].push(0.01);
+      }
+    }
+    
+    // Swap the flat pre-fill for the real recent series once it loads, when
+    // the page asked for history (a history file or a replay); otherwise
+    // every boot would cost the source a 30-day request
+    if (nerve.historyConfig || nerve.timeline) {
+      nerve.loadHistory().then(prefillFromHistory);
     }
   }
-}
 
-function draw() {
-  nerve.update();
-  
-  let colors = nerve.getRegimeColors();
-  phase += 0.01;
-  
-  // Beat timing — faster at higher edge scores
-  beatInterval = map(nerve.edgeScore, 0, 1, 3000, 400);
-  let timeSinceBeat = millis() - lastBeat;
-  if (timeSinceBeat > beatInterval) {
-    lastBeat = millis();
-    beatPhase = 1.0;
-  }
-  beatPhase *= 0.92;
-  
-  // Generate heartbeat waveform value
-  let beatValue = generateHeartbeat(timeSinceBeat / beatInterval, nerve.edgeScore);
-  
-  // Push to history
-  history.push(nerve.edgeScore + beatValue * nerve.edgeScore * 0.5);
-  if (history.length > maxHistory) history.shift();
-  
-  let domains = nerve.getDomainNames();
-  for (let d of domains) {
-    let domainBeat = beatValue * nerve.domains[d].score * 0.4;
-    let noise_val = noise(phase * 2 + domains.indexOf(d) * 100) * 0.05;
-    domainHistories[d].push(nerve.domains[d].score + domainBeat + noise_val);
-    if (domainHistories[d].length > maxHistory) domainHistories[d].shift();
+  function prefillFromHistory(series) {
+    if (series.length < 2) return;
+    
+    // Each frame drawn so far pushed one real sample; only overwrite older slots
+    let fillCount = s.max(0, maxHistory - s.frameCount);
+    let domains = nerve.getDomainNames();
+    
+    for (let i = 0; i < fillCount; i++) {
+      let frame = series[s.floor(s.map(i, 0, maxHistory, 0, series.length))];
+      history[i] = frame.edge_score;
+      for (let d of domains) {
+        let ds = frame.domain_scores && frame.domain_scores[d];
+        if (ds && typeof ds.score === 'number') {
+          domainHistories[d][i] = ds.score;
+        }
+      }
+    }
   }
-  
-  // Background with subtle fade
-  background(colors.bg[0], colors.bg[1], colors.bg[2]);
-  
-  // Draw scan line effect
-  drawScanLine(colors);
-  
-  // Draw grid
-  drawGrid(colors);
-  
-  // Draw domain threads (behind main line)
-  drawDomainThreads(colors);
-  
-  // Draw main pulse line
-  drawMainPulse(colors);
-  
-  // Draw afterglow particles
-  drawAfterglowParticles(colors);
-  
-  // Draw score display
-  drawScoreDisplay(colors);
-  
-  // Draw domain legend
-  drawDomainLegend(colors);
-  
-  // Sim badge
-  document.getElementById('sim-badge').className = nerve.simMode ? 'active' : '';
-}
 
-function generateHeartbeat(t, intensity) {
-  // t is 0-1 within beat cycle
-  // Creates a realistic heartbeat waveform (QRS complex)
-  t = t % 1;
-  
-  let val = 0;
-  
-  // P wave (small bump)
-  val += 0.15 * exp(-pow((t - 0.1) * 20, 2));
-  
-  // QRS complex (sharp spike)
-  val -= 0.2 * exp(-pow((t - 0.25) * 30, 2));
-  val += 1.0 * exp(-pow((t - 0.3) * 25, 2));
-  val -= 0.3 * exp(-pow((t - 0.35) * 30, 2));
-  
-  // T wave (recovery bump)
-  val += 0.25 * exp(-pow((t - 0.55) * 12, 2));
-  
-  // Add noise proportional to intensity
-  val += (noise(t * 50 + phase * 10) - 0.5) * intensity * 0.3;
-  
-  return val;
-}
-
-function drawScanLine(colors) {
-  // Vertical scan line that sweeps across
-  scanX = (scanX + map(nerve.edgeScore, 0, 1, 0.3, 1.5)) % width;
-  
-  for (let w = 60; w > 0; w -= 2) {
-    let alpha = map(w, 0, 60, 8, 0);
-    stroke(colors.accent[0], colors.accent[1], colors.accent[2], alpha);
-    strokeWeight(1);
-    line(scanX - w, 0, scanX - w, height);
+  function draw() {
+    nerve.update();
+    if (audio) audio.update();
+    
+    let colors = nerve.getRegimeColors();
+    phase += nerve.reducedMotion ? 0.003 : 0.01;
+    
+    // Beat timing — faster at higher edge scores
+    beatInterval = s.map(nerve.edgeScore, 0, 1, 3000, 400);
+    let timeSinceBeat = s.millis() - lastBeat;
+    if (timeSinceBeat > beatInterval) {
+      lastBeat = s.millis();
+      beatPhase = 1.0;
+      if (audio) audio.beat(s.map(nerve.edgeScore, 0, 1, 0.4, 1));
+    }
+    beatPhase *= 0.92;
+    
+    // Generate heartbeat waveform value
+    let beatValue = generateHeartbeat(timeSinceBeat / beatInterval, nerve.edgeScore);
+    
+    // Push to history
+    history.push(nerve.edgeScore + beatValue * nerve.edgeScore * 0.5);
+    if (history.length > maxHistory) history.shift();
+    
+    let domains = nerve.getDomainNames();
+    for (let d of domains) {
+      // Domains discovered mid-run start with a flat trace at their score
+      if (!domainHistories[d]) {
+        domainHistories[d] = new Array(maxHistory).fill(nerve.domains[d].score);
+      }
+      let domainBeat = beatValue * nerve.domains[d].score * 0.4;
+      let noise_val = s.noise(phase * 2 + domains.indexOf(d) * 100) * 0.05;
+      domainHistories[d].push(nerve.domains[d].score + domainBeat + noise_val);
+      if (domainHistories[d].length > maxHistory) domainHistories[d].shift();
+    }
+    // Domains that have left the data take their traces with them
+    for (let d in domainHistories) {
+      if (!nerve.domains[d]) delete domainHistories[d];
+    }
+    
+    // Background with subtle fade
+    s.background(colors.bg[0], colors.bg[1], colors.bg[2]);
+    
+    // Draw scan line effect
+    drawScanLine(colors);
+    
+    // Draw grid
+    drawGrid(colors);
+    
+    // Draw domain threads (behind main line)
+    drawDomainThreads(colors);
+    
+    // Draw main pulse line
+    drawMainPulse(colors);
+    
+    // Draw afterglow particles
+    drawAfterglowParticles(colors);
+    
+    // Draw momentum slope arrow at the leading edge
+    drawSlopeArrow(colors);
+    
+    // Draw score display
+    drawScoreDisplay(colors);
+    
+    // Draw domain legend
+    drawDomainLegend(colors);
   }
-}
 
-function drawGrid(colors) {
-  // Horizontal grid lines
-  stroke(colors.primary[0], colors.primary[1], colors.primary[2], 8);
-  strokeWeight(0.5);
-  
-  let gridSpacing = height / 10;
-  for (let y = gridSpacing; y < height; y += gridSpacing) {
-    line(0, y, width, y);
+  function generateHeartbeat(t, intensity) {
+    // t is 0-1 within beat cycle
+    // Creates a realistic heartbeat waveform (QRS complex)
+    t = t % 1;
+    
+    let val = 0;
+    
+    // P wave (small bump)
+    val += 0.15 * s.exp(-s.pow((t - 0.1) * 20, 2));
+    
+    // QRS complex (sharp spike)
+    val -= 0.2 * s.exp(-s.pow((t - 0.25) * 30, 2));
+    val += 1.0 * s.exp(-s.pow((t - 0.3) * 25, 2));
+    val -= 0.3 * s.exp(-s.pow((t - 0.35) * 30, 2));
+    
+    // T wave (recovery bump)
+    val += 0.25 * s.exp(-s.pow((t - 0.55) * 12, 2));
+    
+    // Add noise proportional to intensity (a clean trace in reduced motion)
+    if (!nerve.reducedMotion) {
+      val += (s.noise(t * 50 + phase * 10) - 0.5) * intensity * 0.3;
+    }
+    
+    return val;
   }
-  
-  // Threshold lines
-  let thresholds = [
-    { val: 0.25, label: 'ELEVATED', alpha: 15 },
-    { val: 0.50, label: 'STRESSED', alpha: 20 },
-    { val: 0.75, label: 'CRITICAL', alpha: 25 }
-  ];
-  
-  for (let th of thresholds) {
-    let y = map(th.val, 0, 1.5, height * 0.85, height * 0.1);
-    stroke(colors.primary[0], colors.primary[1], colors.primary[2], th.alpha);
-    strokeWeight(0.5);
-    drawingContext.setLineDash([4, 8]);
-    line(0, y, width, y);
-    drawingContext.setLineDash([]);
+
+  function drawScanLine(colors) {
+    // Vertical scan line that sweeps across
+    let sweep = s.map(nerve.edgeScore, 0, 1, 0.3, 1.5);
+    scanX = (scanX + (nerve.reducedMotion ? sweep * 0.3 : sweep)) % s.width;
     
-    // Label
-    noStroke();
-    fill(colors.primary[0], colors.primary[1], colors.primary[2], th.alpha);
-    textSize(8);
-    textAlign(RIGHT, BOTTOM);
-    text(th.label, width - 15, y - 3);
+    for (let w = 60; w > 0; w -= 2) {
+      let alpha = s.map(w, 0, 60, 8, 0);
+      s.stroke(colors.accent[0], colors.accent[1], colors.accent[2], alpha);
+      s.strokeWeight(1);
+      s.line(scanX - w, 0, scanX - w, s.height);
+    }
   }
-}
 
-function drawDomainThreads(colors) {
-  let domains = nerve.getDomainNames();
-  let visibleHistory = min(history.length, floor(width / 1.5));
-  let startIdx = history.length - visibleHistory;
-  
-  for (let di = 0; di < domains.length; di++) {
-    let d = domains[di];
-    let domainColor = nerve.getDomainColor(d);
-    let domainData = domainHistories[d];
-    let domainScore = nerve.domains[d].score;
-    
-    // Thread alpha based on how active the domain is
-    let baseAlpha = map(domainScore, 0, 1, 10, 60);
-    
-    noFill();
-    beginShape();
-    for (let i = 0; i < visibleHistory; i++) {
-      let x = map(i, 0, visibleHistory, 0, width);
-      let val = domainData[startIdx + i] || 0;
-      let y = map(val, 0, 1.5, height * 0.85, height * 0.1);
-      
-      // Spread threads vertically based on domain index
-      let spread = map(nerve.fragility, 0, 1, 15, 3);
-      y += (di - 2) * spread;
-      
-      let fadeIn = map(i, 0, 50, 0, 1);
-      fadeIn = constrain(fadeIn, 0, 1);
+  function drawGrid(colors) {
+    // Horizontal grid lines
+    s.stroke(colors.primary[0], colors.primary[1], colors.primary[2], 8);
+    s.strokeWeight(0.5);
+    
+    let gridSpacing = s.height / 10;
+    for (let y = gridSpacing; y < s.height; y += gridSpacing) {
+      s.line(0, y, s.width, y);
+    }
+    
+    // Threshold lines
+    let thresholds = [
+      { val: 0.25, label: 'ELEVATED', alpha: 15 },
+      { val: 0.50, label: 'STRESSED', alpha: 20 },
+      { val: 0.75, label: 'CRITICAL', alpha: 25 }
+    ];
+    
+    for (let th of thresholds) {
+      let y = s.map(th.val, 0, 1.5, s.height * 0.85, s.height * 0.1);
+      s.stroke(colors.primary[0], colors.primary[1], colors.primary[2], th.alpha);
+      s.strokeWeight(0.5);
+      s.drawingContext.setLineDash([4, 8]);
+      s.line(0, y, s.width, y);
+      s.drawingContext.setLineDash([]);
       
-      stroke(domainColor[0], domainColor[1], domainColor[2], baseAlpha * fadeIn);
-      strokeWeight(1 + domainScore);
-      vertex(x, y);
+      // Label
+      s.noStroke();
+      s.fill(colors.primary[0], colors.primary[1], colors.primary[2], th.alpha);
+      s.textSize(8);
+      s.textAlign(s.RIGHT, s.BOTTOM);
+      s.text(th.label, s.width - 15, y - 3);
     }
-    endShape();
   }
-}
 
-function drawMainPulse(colors) {
-  let visibleHistory = min(history.length, floor(width / 1.5));
-  let startIdx = history.length - visibleHistory;
-  
-  // Glow layer
-  for (let w = 3; w >= 0; w--) {
-    noFill();
-    beginShape();
-    for (let i = 0; i < visibleHistory; i++) {
-      let x = map(i, 0, visibleHistory, 0, width);
-      let val = history[startIdx + i] || 0;
-      let y = map(val, 0, 1.5, height * 0.85, height * 0.1);
-      
-      let fadeIn = map(i, 0, 30, 0, 1);
-      fadeIn = constrain(fadeIn, 0, 1);
-      let recency = map(i, 0, visibleHistory, 0.3, 1);
+  function drawDomainThreads(colors) {
+    let domains = nerve.getDomainNames();
+    let visibleHistory = s.min(history.length, s.floor(s.width / 1.5));
+    let startIdx = history.length - visibleHistory;
+    
+    for (let di = 0; di < domains.length; di++) {
+      let d = domains[di];
+      let domainColor = nerve.getDomainColor(d);
+      let domainData = domainHistories[d];
+      let domainScore = nerve.domains[d].score;
       
-      let alpha = w === 0 ? 200 * fadeIn * recency : (20 - w * 5) * fadeIn * recency;
-      let weight = w === 0 ? 2 : w * 4;
+      // Thread alpha based on how active the domain is
+      let baseAlpha = s.map(domainScore, 0, 1, 10, 60);
       
-      stroke(colors.accent[0], colors.accent[1], colors.accent[2], alpha);
-      strokeWeight(weight);
-      vertex(x, y);
-    }
-    endShape();
-  }
-  
-  // Leading edge particle burst
-  let lastVal = history[history.length - 1] || 0;
-  let lastY = map(lastVal, 0, 1.5, height * 0.85, height * 0.1);
-  
-  // Bright dot at leading edge
-  let dotPulse = sin(phase * 8) * 3 + 8;
-  noStroke();
-  fill(colors.accent[0], colors.accent[1], colors.accent[2], 200);
-  ellipse(width, lastY, dotPulse, dotPulse);
-  fill(255, 255, 255, 120);
-  ellipse(width, lastY, dotPulse * 0.4, dotPulse * 0.4);
-  
-  // Spawn afterglow particles on beats
-  if (beatPhase > 0.5) {
-    for (let i = 0; i < 3; i++) {
-      afterglowParticles.push({
-        x: width + random(-5, 5),
-        y: lastY + random(-10, 10),
-        vx: random(-2, -0.5),
-        vy: random(-2, 2),
-        life: 1,
-        decay: random(0.01, 0.03),
-        size: random(1, 4),
-        color: [...colors.accent]
-      });
+      s.noFill();
+      s.beginShape();
+      for (let i = 0; i < visibleHistory; i++) {
+        let x = s.map(i, 0, visibleHistory, 0, s.width);
+        let val = domainData[startIdx + i] || 0;
+        let y = s.map(val, 0, 1.5, s.height * 0.85, s.height * 0.1);
+        
+        // Spread threads vertically based on domain index, centered on the
+        // main line and tightening as more domains share the band
+        let spread = s.map(nerve.fragility, 0, 1, 15, 3) * s.min(1, 4 / s.max(1, domains.length - 1));
+        y += (di - (domains.length - 1) / 2) * spread;
+        
+        let fadeIn = s.map(i, 0, 50, 0, 1);
+        fadeIn = s.constrain(fadeIn, 0, 1);
+        
+        s.stroke(domainColor[0], domainColor[1], domainColor[2], baseAlpha * fadeIn);
+        s.strokeWeight(1 + domainScore);
+        s.vertex(x, y);
+      }
+      s.endShape();
     }
   }
-}
 
-function drawAfterglowParticles(colors) {
-  for (let i = afterglowParticles.length - 1; i >= 0; i--) {
-    let p = afterglowParticles[i];
-    p.x += p.vx;
-    p.y += p.vy;
-    p.vy *= 0.98;
-    p.life -= p.decay;
-    
-    if (p.life <= 0) {
-      afterglowParticles.splice(i, 1);
-      continue;
+  function drawMainPulse(colors) {
+    let visibleHistory = s.min(history.length, s.floor(s.width / 1.5));
+    let startIdx = history.length - visibleHistory;
+    
+    // Glow layer
+    for (let w = 3; w >= 0; w--) {
+      s.noFill();
+      s.beginShape();
+      for (let i = 0; i < visibleHistory; i++) {
+        let x = s.map(i, 0, visibleHistory, 0, s.width);
+        let val = history[startIdx + i] || 0;
+        let y = s.map(val, 0, 1.5, s.height * 0.85, s.height * 0.1);
+        
+        let fadeIn = s.map(i, 0, 30, 0, 1);
+        fadeIn = s.constrain(fadeIn, 0, 1);
+        let recency = s.map(i, 0, visibleHistory, 0.3, 1);
+        
+        let alpha = w === 0 ? 200 * fadeIn * recency : (20 - w * 5) * fadeIn * recency;
+        let weight = w === 0 ? 2 : w * 4;
+        
+        s.stroke(colors.accent[0], colors.accent[1], colors.accent[2], alpha);
+        s.strokeWeight(weight);
+        s.vertex(x, y);
+      }
+      s.endShape();
     }
     
-    noStroke();
-    fill(p.color[0], p.color[1], p.color[2], p.life * 100);
-    ellipse(p.x, p.y, p.size * p.life, p.size * p.life);
+    // Leading edge particle burst
+    let lastVal = history[history.length - 1] || 0;
+    let lastY = s.map(lastVal, 0, 1.5, s.height * 0.85, s.height * 0.1);
+    
+    // Bright dot at leading edge
+    let dotPulse = nerve.reducedMotion ? 8 : s.sin(phase * 8) * 3 + 8;
+    s.noStroke();
+    s.fill(colors.accent[0], colors.accent[1], colors.accent[2], 200);
+    s.ellipse(s.width, lastY, dotPulse, dotPulse);
+    s.fill(255, 255, 255, 120);
+    s.ellipse(s.width, lastY, dotPulse * 0.4, dotPulse * 0.4);
+    
+    // Spawn afterglow particles on beats
+    if (beatPhase > 0.5 && !nerve.reducedMotion) {
+      for (let i = 0; i < 3; i++) {
+        afterglowParticles.push({
+          x: s.width + s.random(-5, 5),
+          y: lastY + s.random(-10, 10),
+          vx: s.random(-2, -0.5),
+          vy: s.random(-2, 2),
+          life: 1,
+          decay: s.random(0.01, 0.03),
+          size: s.random(1, 4),
+          color: [...colors.accent]
+        });
+      }
+    }
   }
-  
-  if (afterglowParticles.length > 300) {
-    afterglowParticles.splice(0, afterglowParticles.length - 300);
+
+  function drawSlopeArrow(colors) {
+    // Arrow just behind the leading edge, tilted up when risk is worsening
+    // and down when it is easing; longer and brighter the faster it moves
+    let trend = nerve.momentumTrend;
+    let baseY = s.map(nerve.edgeScore, 0, 1.5, s.height * 0.85, s.height * 0.1);
+    let x = s.width - 60;
+    let angle = -trend * s.QUARTER_PI * 1.2;
+    let len = 18 + s.abs(trend) * 30;
+    let alpha = 40 + s.abs(trend) * 140;
+    
+    s.push();
+    s.translate(x, baseY - 40);
+    s.rotate(angle);
+    s.stroke(colors.accent[0], colors.accent[1], colors.accent[2], alpha);
+    s.strokeWeight(1.5);
+    s.line(-len / 2, 0, len / 2, 0);
+    s.line(len / 2, 0, len / 2 - 6, -4);
+    s.line(len / 2, 0, len / 2 - 6, 4);
+    s.pop();
   }
-}
 
-function drawScoreDisplay(colors) {
-  let scoreStr = nf(nerve.edgeScore, 1, 3);
-  let pulse = sin(phase * 4) * 0.1 + 0.9;
-  
-  push();
-  // Score in top left
-  textFont('Courier New');
-  textAlign(LEFT, TOP);
-  
-  // Large score
-  textSize(64);
-  fill(colors.accent[0], colors.accent[1], colors.accent[2], 180 * pulse);
-  text(scoreStr, 30, 25);
-  
-  // Label
-  textSize(10);
-  fill(colors.primary[0], colors.primary[1], colors.primary[2], 40);
-  text('EDGE SCORE', 34, 92);
-  
-  // Regime
-  textSize(12);
-  fill(colors.primary[0], colors.primary[1], colors.primary[2], 50);
-  text(nerve.regime, 34, 110);
-  
-  // BPM-like display (beats per minute based on interval)
-  let bpm = floor(60000 / beatInterval);
-  textSize(9);
-  fill(colors.secondary[0], colors.secondary[1], colors.secondary[2], 35);
-  text(bpm + ' BPM', 34, 130);
-  
-  pop();
-}
+  function drawAfterglowParticles(colors) {
+    for (let i = afterglowParticles.length - 1; i >= 0; i--) {
+      let p = afterglowParticles[i];
+      p.x += p.vx;
+      p.y += p.vy;
+      p.vy *= 0.98;
+      p.life -= p.decay;
+      
+      if (p.life <= 0) {
+        afterglowParticles.splice(i, 1);
+        continue;
+      }
+      
+      s.noStroke();
+      s.fill(p.color[0], p.color[1], p.color[2], p.life * 100);
+      s.ellipse(p.x, p.y, p.size * p.life, p.size * p.life);
+    }
+    
+    if (afterglowParticles.length > 300) {
+      afterglowParticles.splice(0, afterglowParticles.length - 300);
+    }
+  }
 
-function drawDomainLegend(colors) {
-  let domains = nerve.getDomainNames();
-  let startY = height - 30;
-  let spacing = width / (domains.length + 1);
-  
-  push();
-  textFont('Courier New');
-  textAlign(CENTER, CENTER);
-  textSize(8);
-  
-  for (let i = 0; i < domains.length; i++) {
-    let d = domains[i];
-    let dc = nerve.getDomainColor(d);
-    let x = spacing * (i + 1);
-    let score = nerve.domains[d].score;
+  function drawScoreDisplay(colors) {
+    let scoreStr = s.nf(nerve.edgeScore, 1, 3);
+    let pulse = nerve.reducedMotion ? 1 : s.sin(phase * 4) * 0.1 + 0.9;
     
-    // Dot
-    noStroke();
-    fill(dc[0], dc[1], dc[2], 60 + score * 140);
-    ellipse(x - 30, startY, 4 + score * 4, 4 + score * 4);
+    s.push();
+    // Score in top left
+    s.textFont('Courier New');
+    s.textAlign(s.LEFT, s.TOP);
+    
+    // Large score
+    s.textSize(64);
+    s.fill(colors.accent[0], colors.accent[1], colors.accent[2], 180 * pulse);
+    s.text(scoreStr, 30, 25);
     
     // Label
-    fill(dc[0], dc[1], dc[2], 30 + score * 40);
-    let label = d.length > 10 ? d.substring(0, 8) + '..' : d;
-    text(label + ' ' + nf(score, 1, 2), x + 10, startY);
+    s.textSize(10);
+    s.fill(colors.primary[0], colors.primary[1], colors.primary[2], 40);
+    s.text('EDGE SCORE', 34, 92);
+    
+    // Regime
+    s.textSize(12);
+    s.fill(colors.primary[0], colors.primary[1], colors.primary[2], 50);
+    s.text(nerve.regime, 34, 110);
+    
+    // BPM-like display (beats per minute based on interval)
+    let bpm = s.floor(60000 / beatInterval);
+    s.textSize(9);
+    s.fill(colors.secondary[0], colors.secondary[1], colors.secondary[2], 35);
+    s.text(bpm + ' BPM', 34, 130);
+    s.text(nerve.getMomentumLabel(), 34, 144);
+    
+    s.pop();
   }
-  
-  pop();
-}
 
-function mousePressed() {
-  nerve.simMode = true;
-  nerve.nextSimLevel();
-  document.getElementById('sim-badge').className = 'active';
-}
-
-function keyPressed() {
-  if (key === ' ') {
-    nerve.toggleSimMode();
-    if (!nerve.simMode) {
-      document.getElementById('sim-badge').className = '';
+  function drawDomainLegend(colors) {
+    let domains = nerve.getDomainNames();
+    
+    // One row while entries fit (~120px each), otherwise wrap onto more rows
+    let perRow = s.max(1, s.min(domains.length, s.floor(s.width / 120)));
+    let rowCount = s.ceil(domains.length / perRow);
+    let spacing = s.width / (perRow + 1);
+    
+    s.push();
+    s.textFont('Courier New');
+    s.textAlign(s.CENTER, s.CENTER);
+    s.textSize(8);
+    
+    for (let i = 0; i < domains.length; i++) {
+      let d = domains[i];
+      let dc = nerve.getDomainColor(d);
+      let row = s.floor(i / perRow);
+      let x = spacing * (i % perRow + 1);
+      let startY = s.height - 30 - (rowCount - 1 - row) * 16;
+      let score = nerve.domains[d].score;
+      
+      // Dot
+      s.noStroke();
+      s.fill(dc[0], dc[1], dc[2], 60 + score * 140);
+      s.ellipse(x - 30, startY, 4 + score * 4, 4 + score * 4);
+      
+      // Label
+      s.fill(dc[0], dc[1], dc[2], 30 + score * 40);
+      let label = d.length > 10 ? d.substring(0, 8) + '..' : d;
+      s.text(label + ' ' + s.nf(score, 1, 2), x + 10, startY);
     }
+    
+    s.pop();
   }
-}
 
-function windowResized() {
-  resizeCanvas(windowWidth, windowHeight);
-  trailBuffer = createGraphics(width, height);
+  // After createNerveCanvas has fitted the canvas to a new container size
+  function resized() {
+    trailBuffer = s.createGraphics(s.width, s.height);
+  }
+  
+  let sketch = new p5(instance => {
+    s = instance;
+    s.setup = setup;
+    s.draw = draw;
+  }, container);
+  sketch.nerveName = 'pulse';
+  sketch.svg = true; // traces, grid and labels are all strokes and text
+  sketch.audio = audio;
+  return sketch;
 }
+
+NERVE_SKETCHES.pulse = createPulseSketch;
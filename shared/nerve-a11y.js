@@ -0,0 +1,141 @@
+// Shared Nerve Announcer
+// A text alternative to the canvas for screen readers. A visually hidden
+// live region reads out
+//   - a summary (edge score, regime, the three highest domains) when the
+//     data has moved enough to matter, at most once per interval ms
+//   - regime changes straight away, and edge alerts (nerve-alerts.js)
+//   - switches between live and simulated data, and reduced motion on/off
+// The sketch canvases (createNerveCanvas) get role="img" and the latest
+// summary as their label; other canvases on the page are left alone.
+//
+// Turn it off with window.NERVE_CONFIG = { announce: false }, or tune it
+// with { announce: { interval: 60000, minChange: 0.05 } }. root is where
+// to look for the canvases: the document unless they sit in a shadow root.
+
+class NerveAnnouncer {
+  constructor(nerve, options = {}) {
+    this.nerve = nerve;
+    this.interval = options.interval || 30000;
+    this.minChange = options.minChange || 0.05; // edge or domain move worth a new summary
+    this.root = options.root || document;
+    this.lastSummaryAt = -Infinity;
+    this.lastSummary = null; // { edge, top } as last announced
+    this.lastSimMode = nerve.simMode;
+    this.regimeChange = null; // read out on the next update, once the rest of the data has landed
+    this.queued = new Map(); // region → lines waiting to be read together
+
+    const hidden = [
+      'position: absolute', 'width: 1px', 'height: 1px', 'margin: -1px', 'padding: 0',
+      'overflow: hidden', 'clip: rect(0 0 0 0)', 'white-space: nowrap', 'border: 0'
+    ].join(';');
+    this.polite = document.createElement('div');
+    this.polite.id = 'nerve-announcer';
+    this.polite.setAttribute('role', 'status');
+    this.polite.setAttribute('aria-live', 'polite');
+    this.polite.setAttribute('aria-atomic', 'true');
+    this.polite.style.cssText = hidden;
+    this.urgent = document.createElement('div');
+    this.urgent.setAttribute('role', 'alert');
+    this.urgent.setAttribute('aria-atomic', 'true');
+    this.urgent.style.cssText = hidden;
+    document.body.append(this.polite, this.urgent);
+
+    nerve.on('regimeChange', ({ from, to }) => {
+      this.regimeChange = { from: this.regimeChange ? this.regimeChange.from : from, to };
+    });
+    nerve.on('alert', alert => {
+      if (alert.type === 'edge') this.say(alert.message, true);
+    });
+    nerve.on('sourceStatusChange', status => {
+      if (status.simMode === this.lastSimMode) return;
+      this.lastSimMode = status.simMode;
+      this.say(status.simMode ? 'Showing simulated data.' : 'Showing live data.');
+    });
+    nerve.on('reducedMotionChange', ({ reducedMotion }) => {
+      this.say(`Reduced motion ${reducedMotion ? 'on' : 'off'}.`);
+    });
+  }
+
+  // Build the announcer unless the page turned it off
+  static attach(nerve, config) {
+    if (config.announce === false || typeof document === 'undefined') return null;
+    return new NerveAnnouncer(nerve, typeof config.announce === 'object' ? config.announce : {});
+  }
+
+  // Highest-scoring domains from the targets, so the text matches the data
+  // rather than a frame of the animation
+  topDomains(count = 3) {
+    const targets = this.nerve.targetDomains;
+    return Object.keys(targets)
+      .map(d => ({ name: d, score: targets[d].score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count);
+  }
+
+  summary() {
+    const nerve = this.nerve;
+    const top = this.topDomains().map(d => `${d.name} ${d.score.toFixed(2)}`).join(', ');
+    const sim = nerve.simMode ? ' (simulated)' : '';
+    return `Edge score ${nerve.targetEdge.toFixed(2)}${sim}, ${nerve.regime}. Highest domains: ${top}.`;
+  }
+
+  markSummarized() {
+    this.lastSummaryAt = nerveMillis();
+    this.lastSummary = { edge: this.nerve.targetEdge, top: this.topDomains() };
+    this.labelCanvas();
+  }
+
+  // Called from NerveData.update()
+  update() {
+    if (this.regimeChange) {
+      const { from, to } = this.regimeChange;
+      this.regimeChange = null;
+      if (from !== to) {
+        this.say(`Regime changed from ${from} to ${to}. ${this.summary()}`, to === 'CRITICAL');
+        this.markSummarized();
+        return;
+      }
+    }
+    // Wait for the first fetch to settle rather than reading out placeholders
+    if (this.nerve.connecting || nerveMillis() - this.lastSummaryAt < this.interval) return;
+    if (this.lastSummary && !this.hasMoved()) return;
+    this.say(this.summary());
+    this.markSummarized();
+  }
+
+  hasMoved() {
+    const { edge, top } = this.lastSummary;
+    if (Math.abs(this.nerve.targetEdge - edge) >= this.minChange) return true;
+    const now = this.topDomains();
+    return now.some((d, i) => !top[i] || top[i].name !== d.name || Math.abs(top[i].score - d.score) >= this.minChange);
+  }
+
+  // Lines said in the same moment are read together rather than the last
+  // one replacing the rest
+  say(text, urgent = false) {
+    const region = urgent ? this.urgent : this.polite;
+    if (this.queued.has(region)) {
+      this.queued.get(region).push(text);
+      return;
+    }
+    this.queued.set(region, [text]);
+    // Clearing first makes a repeat of the same words count as new
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = this.queued.get(region).join(' ');
+      this.queued.delete(region);
+    }, 50);
+  }
+
+  labelCanvas() {
+    for (const canvas of this.root.querySelectorAll('canvas.nerve-canvas')) {
+      canvas.setAttribute('role', 'img');
+      canvas.setAttribute('aria-label', `The Nerve. ${this.summary()}`);
+    }
+  }
+
+  remove() {
+    this.polite.remove();
+    this.urgent.remove();
+  }
+}
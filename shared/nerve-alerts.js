@@ -0,0 +1,192 @@
+// Shared Nerve Alerts
+// Turns a sketch left running in a corner into a monitor: raises an alert
+// when the edge score rises through a threshold or the regime escalates,
+// through any of
+//   notify   — a browser notification
+//   chime    — a short Web Audio chime, pitched up with severity
+//   webhook  — a POST of the alert as JSON to a (local) URL
+// Every alert is also emitted as nerve.on('alert', alert).
+// Notifications and sound need a click before the browser allows them, so
+// an ENABLE ALERTS button waits at the top until it gets one. It's a button
+// of its own because a click on the canvas cycles sim levels, and sim data
+// doesn't alert.
+//
+// A threshold fires once on the way up and re-arms only after the edge
+// score drops hysteresis below it; the same alert never repeats within
+// cooldown ms. The first reading after load is the baseline, so reloading
+// a page during a crisis doesn't alert. Only live data counts unless sim is
+// set, so clicking through sim levels stays quiet.
+//
+//   window.NERVE_CONFIG = { alerts: { thresholds: [0.5, 0.75], webhook: 'http://localhost:9000/hook' } }
+//   ?alerts                    defaults below
+//   ?alerts=0.6,0.8&webhook=http://localhost:8787/webhook
+
+class NerveAlerts {
+  constructor(nerve, options = {}) {
+    this.nerve = nerve;
+    this.thresholds = (options.thresholds || [0.5, 0.75]).slice().sort((a, b) => a - b);
+    this.hysteresis = options.hysteresis !== undefined ? options.hysteresis : 0.05;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 600000; // 10 minutes
+    this.regimes = options.regimes !== false;
+    this.sim = !!options.sim;
+    this.notify = options.notify !== false;
+    this.chime = options.chime !== false;
+    this.webhook = options.webhook || null;
+
+    this.armed = this.thresholds.map(() => true);
+    this.lastRegime = null;
+    this.baselined = false;
+    this.lastFired = {};
+    this.audio = null;
+
+    this.el = null;
+    if (typeof document !== 'undefined' && this.needsUnlock()) this.addControl();
+  }
+
+  // Build alerts from page config (config.alerts: true or options)
+  static attach(nerve, config) {
+    if (!config.alerts) return null;
+    return new NerveAlerts(nerve, typeof config.alerts === 'object' ? config.alerts : {});
+  }
+
+  // Whether notify or chime is waiting for a click to be allowed
+  needsUnlock() {
+    const permission = this.notify && typeof Notification !== 'undefined' && Notification.permission === 'default';
+    const sound = this.chime && !this.audio && typeof AudioContext !== 'undefined';
+    return permission || sound;
+  }
+
+  unlock() {
+    if (this.notify && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+    if (this.chime && !this.audio && typeof AudioContext !== 'undefined') {
+      this.audio = new AudioContext();
+    }
+    if (this.el) this.el.remove();
+    this.el = null;
+  }
+
+  addControl() {
+    this.el = document.createElement('button');
+    this.el.id = 'alerts-enable';
+    this.el.textContent = 'ENABLE ALERTS';
+    this.el.title = 'Allow alert notifications and chimes';
+    this.el.style.cssText = [
+      'position: fixed', 'left: 50%', 'top: 44px', 'transform: translateX(-50%)', 'z-index: 20',
+      'padding: 4px 10px', 'cursor: pointer', 'background: none',
+      'border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.3)',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.6)', 'font: 10px "Courier New", monospace',
+      'letter-spacing: 3px'
+    ].join(';');
+    this.el.addEventListener('click', () => this.unlock());
+    // Keep clicks on the button from reaching the sketch's handlers
+    for (const type of ['mousedown', 'mouseup', 'touchstart', 'pointerdown']) {
+      this.el.addEventListener(type, e => e.stopPropagation());
+    }
+    document.body.appendChild(this.el);
+  }
+
+  // Called from NerveData.update()
+  update() {
+    const nerve = this.nerve;
+    if (nerve.simMode && !this.sim) return;
+
+    const edge = nerve.targetEdge;
+    if (!this.baselined) {
+      this.baselined = true;
+      this.armed = this.thresholds.map(th => edge < th);
+      this.lastRegime = nerve.regime;
+      return;
+    }
+
+    this.thresholds.forEach((th, i) => {
+      if (this.armed[i] && edge >= th) {
+        this.armed[i] = false;
+        this.fire(`edge:${th}`, {
+          type: 'edge',
+          severity: i + 1,
+          threshold: th,
+          message: `Edge score ${edge.toFixed(2)} crossed ${th}`
+        });
+      } else if (!this.armed[i] && edge < th - this.hysteresis) {
+        this.armed[i] = true;
+      }
+    });
+
+    if (nerve.regime !== this.lastRegime) {
+      const from = this.lastRegime;
+      this.lastRegime = nerve.regime;
+      const rank = NERVE_REGIME_ORDER.indexOf(nerve.regime);
+      if (this.regimes && rank > NERVE_REGIME_ORDER.indexOf(from)) {
+        this.fire(`regime:${nerve.regime}`, {
+          type: 'regime',
+          severity: rank,
+          from,
+          to: nerve.regime,
+          message: `Regime escalated ${from} → ${nerve.regime}`
+        });
+      }
+    }
+  }
+
+  fire(key, fields) {
+    const now = Date.now();
+    if (this.lastFired[key] && now - this.lastFired[key] < this.cooldown) return;
+    this.lastFired[key] = now;
+
+    const nerve = this.nerve;
+    const alert = {
+      ...fields,
+      edge: nerve.targetEdge,
+      regime: nerve.regime,
+      source: nerve.source.type,
+      simMode: nerve.simMode,
+      page: typeof location !== 'undefined' ? location.pathname : null,
+      timestamp: new Date(now).toISOString()
+    };
+    console.log(`Nerve alert: ${alert.message}`);
+    nerve.emit('alert', alert);
+
+    if (this.notify) this.showNotification(alert);
+    if (this.chime) this.playChime(alert.severity);
+    if (this.webhook) this.postWebhook(alert);
+  }
+
+  showNotification(alert) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    new Notification('The Nerve', { body: alert.message, tag: `nerve-${alert.type}` });
+  }
+
+  // Two falling sine notes; higher severity, higher pitch
+  playChime(severity) {
+    if (!this.audio) return;
+    const ctx = this.audio;
+    const base = 440 * Math.pow(2, Math.min(severity, 3) / 3);
+    [base * 1.5, base].forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      const start = ctx.currentTime + i * 0.22;
+      osc.type = 'sine';
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.25, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.9);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + 1);
+    });
+  }
+
+  // Sent as a CORS "simple" request (text/plain, no-cors) so a bare local
+  // receiver that knows nothing about CORS still gets it; the body is JSON
+  postWebhook(alert) {
+    fetch(this.webhook, {
+      method: 'POST',
+      mode: 'no-cors',
+      keepalive: true,
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify(alert)
+    }).catch(e => console.warn(`Nerve alert webhook ${this.webhook} failed:`, e.message));
+  }
+}
@@ -0,0 +1,312 @@
+// Shared Nerve Audio
+// Web Audio sonification, in up to three layers:
+//   beat     — a lub-dub thump each time the sketch calls beat()
+//   drone    — a chord that darkens with the regime and opens up with the edge score
+//   domains  — one soft tone per domain, louder as its score rises
+// A sketch picks the layers it wants: Pulse uses all three, Depth a lower,
+// beatless drone.
+//
+// Sound starts muted (browsers won't play before a click anyway); the
+// SOUND button top-left or M toggles it, and its ≡ menu has the master
+// volume and a slider per layer. Settings are remembered across visits.
+// window.NERVE_CONFIG = { audio: { enabled: true } } or ?sound starts unmuted
+// (sound still waits for the first click or key, as browsers require); the
+// sketches pass that on from nerve.audioConfig, which embeds leave empty.
+// The controls go in the sketch's container (options.container): pinned to
+// the page's corner when that's the body, to the container's otherwise, so
+// sketches sharing a page each keep theirs in their own box.
+
+const NERVE_AUDIO_LAYERS = ['beat', 'drone', 'domains'];
+
+// Chord per regime: root frequency and the ratios stacked on it
+const NERVE_REGIME_TONES = {
+  CALM: { root: 110, ratios: [1, 1.5, 2] }, // open fifth
+  ELEVATED: { root: 103.83, ratios: [1, 1.2, 1.5] }, // minor triad
+  STRESSED: { root: 98, ratios: [1, 1.189, 1.414] }, // diminished
+  CRITICAL: { root: 92.5, ratios: [1, 1.059, 1.414] } // semitone and tritone
+};
+
+// Major pentatonic over three octaves, so any mix of domains stays consonant
+const NERVE_DOMAIN_SCALE = [1, 9 / 8, 5 / 4, 3 / 2, 5 / 3, 2, 9 / 4, 5 / 2, 3, 10 / 3, 4, 9 / 2];
+
+class NerveAudio {
+  constructor(nerve, options = {}) {
+    this.nerve = nerve;
+    this.layers = options.layers || NERVE_AUDIO_LAYERS;
+    this.octave = Math.pow(2, options.register || 0); // -1 drops everything an octave
+    this.storageKey = 'nerve:audio';
+    this.container = options.container || null;
+
+    // The page's on/off (options.enabled) wins over the remembered one;
+    // levels are remembered
+    this.settings = Object.assign({
+      muted: true,
+      volume: 0.6,
+      beat: 0.8,
+      drone: 0.5,
+      domains: 0.4
+    }, this.readSettings());
+    if (options.enabled !== undefined) this.settings.muted = !options.enabled;
+
+    this.ctx = null;
+    this.domainVoices = {};
+    this.lastParamUpdate = 0;
+    this.unlock = null;
+
+    if (typeof document !== 'undefined') {
+      this.unlock = () => {
+        this.removeUnlock();
+        if (!this.settings.muted) this.start();
+      };
+      document.addEventListener('pointerdown', this.unlock);
+      document.addEventListener('keydown', this.unlock);
+      this.addControls();
+    }
+  }
+
+  readSettings() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  saveSettings() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    } catch (e) {
+      // Blocked storage just means settings last for this visit
+    }
+  }
+
+  // Build the audio graph; only allowed from a user gesture
+  start() {
+    if (this.ctx) {
+      this.ctx.resume();
+      return;
+    }
+    if (typeof AudioContext === 'undefined') return;
+
+    const ctx = new AudioContext();
+    this.ctx = ctx;
+    this.master = ctx.createGain();
+    this.master.gain.value = this.settings.muted ? 0 : this.settings.volume;
+    this.master.connect(ctx.destination);
+
+    this.layerGains = {};
+    for (const layer of this.layers) {
+      this.layerGains[layer] = ctx.createGain();
+      this.layerGains[layer].gain.value = this.settings[layer];
+      this.layerGains[layer].connect(this.master);
+    }
+
+    if (this.layerGains.drone) {
+      this.droneFilter = ctx.createBiquadFilter();
+      this.droneFilter.type = 'lowpass';
+      this.droneFilter.frequency.value = 400;
+      this.droneFilter.connect(this.layerGains.drone);
+      const tone = NERVE_REGIME_TONES[this.nerve.regime] || NERVE_REGIME_TONES.CALM;
+      this.droneVoices = tone.ratios.map((ratio, i) => {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = i === 0 ? 'triangle' : 'sawtooth';
+        osc.frequency.value = tone.root * ratio * this.octave;
+        gain.gain.value = i === 0 ? 0.3 : 0.08;
+        osc.connect(gain).connect(this.droneFilter);
+        osc.start();
+        return osc;
+      });
+    }
+    this.update();
+  }
+
+  setMuted(muted) {
+    this.settings.muted = muted;
+    this.saveSettings();
+    if (!muted) this.start();
+    if (this.ctx) {
+      this.master.gain.setTargetAtTime(muted ? 0 : this.settings.volume, this.ctx.currentTime, 0.05);
+    }
+    this.refreshControls();
+  }
+
+  toggleMute() {
+    this.setMuted(!this.settings.muted);
+  }
+
+  setVolume(volume) {
+    this.settings.volume = volume;
+    this.saveSettings();
+    if (this.ctx && !this.settings.muted) {
+      this.master.gain.setTargetAtTime(volume, this.ctx.currentTime, 0.05);
+    }
+  }
+
+  setLayerVolume(layer, volume) {
+    this.settings[layer] = volume;
+    this.saveSettings();
+    if (this.ctx && this.layerGains[layer]) {
+      this.layerGains[layer].gain.setTargetAtTime(volume, this.ctx.currentTime, 0.05);
+    }
+  }
+
+  // One heartbeat: two thumps, the second softer. strength 0…1
+  beat(strength = 1) {
+    if (!this.ctx || this.settings.muted || !this.layerGains.beat) return;
+    const ctx = this.ctx;
+    const now = ctx.currentTime;
+    [[0, 1], [0.16, 0.6]].forEach(([offset, level]) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      const start = now + offset;
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(95 * this.octave, start);
+      osc.frequency.exponentialRampToValueAtTime(42 * this.octave, start + 0.12);
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(Math.max(0.001, strength * level), start + 0.01);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+      osc.connect(gain).connect(this.layerGains.beat);
+      osc.start(start);
+      osc.stop(start + 0.35);
+    });
+  }
+
+  // Follow the data; call every frame (parameters move a few times a second)
+  update() {
+    if (!this.ctx || nerveMillis() - this.lastParamUpdate < 100) return;
+    this.lastParamUpdate = nerveMillis();
+    const now = this.ctx.currentTime;
+    const nerve = this.nerve;
+    const tone = NERVE_REGIME_TONES[nerve.regime] || NERVE_REGIME_TONES.CALM;
+
+    if (this.droneVoices) {
+      // Slow glide, so a regime change bends the chord rather than cutting it
+      this.droneVoices.forEach((osc, i) => {
+        osc.frequency.setTargetAtTime(tone.root * tone.ratios[i] * this.octave, now, 1.5);
+      });
+      this.droneFilter.frequency.setTargetAtTime(200 + nerve.edgeScore * 1800, now, 0.5);
+    }
+
+    if (this.layerGains.domains) {
+      this.syncDomainVoices();
+      const names = nerve.getDomainNames();
+      const share = 0.25 / Math.sqrt(Math.max(1, names.length));
+      names.forEach((d, i) => {
+        const voice = this.domainVoices[d];
+        const score = nerve.domains[d].score;
+        voice.osc.frequency.setTargetAtTime(tone.root * 2 * NERVE_DOMAIN_SCALE[i % NERVE_DOMAIN_SCALE.length] * this.octave, now, 0.5);
+        voice.gain.gain.setTargetAtTime(score * score * share, now, 0.3);
+      });
+    }
+  }
+
+  // One oscillator per domain the data has right now
+  syncDomainVoices() {
+    const names = this.nerve.getDomainNames();
+    for (const d in this.domainVoices) {
+      if (!names.includes(d)) {
+        this.domainVoices[d].osc.stop();
+        delete this.domainVoices[d];
+      }
+    }
+    for (const d of names) {
+      if (this.domainVoices[d]) continue;
+      const osc = this.ctx.createOscillator();
+      const gain = this.ctx.createGain();
+      osc.type = 'sine';
+      gain.gain.value = 0;
+      osc.connect(gain).connect(this.layerGains.domains);
+      osc.start();
+      this.domainVoices[d] = { osc, gain };
+    }
+  }
+
+  addControls() {
+    const container = this.container || document.body;
+    const page = container === document.body;
+    // The record badge shares the page's top-left corner
+    const record = page && document.getElementById('record-badge');
+    this.el = document.createElement('div');
+    if (page) this.el.id = 'audio-controls';
+    this.el.style.cssText = [
+      `position: ${page ? 'fixed' : 'absolute'}`, 'left: 20px', `top: ${record ? 44 : 20}px`, 'z-index: 20',
+      'font: 10px "Courier New", monospace', 'letter-spacing: 3px',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.4)'
+    ].join(';');
+
+    const buttonStyle = 'background: none; border: none; cursor: pointer; color: inherit; font: inherit; letter-spacing: inherit; padding: 0 6px 0 0';
+    this.muteButton = document.createElement('button');
+    this.muteButton.style.cssText = buttonStyle;
+    this.muteButton.addEventListener('click', () => this.toggleMute());
+
+    const menuButton = document.createElement('button');
+    menuButton.textContent = '≡';
+    menuButton.title = 'Volume and layers';
+    menuButton.style.cssText = buttonStyle;
+
+    this.menu = document.createElement('div');
+    this.menu.style.cssText = [
+      'display: none', 'margin-top: 8px', 'padding: 10px 12px', 'width: 220px',
+      'background: rgba(var(--nerve-paper, 0, 0, 0), 0.6)',
+      'border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.15)',
+      'letter-spacing: 1px', 'text-transform: uppercase'
+    ].join(';');
+    menuButton.addEventListener('click', () => {
+      this.menu.style.display = this.menu.style.display === 'none' ? 'block' : 'none';
+    });
+
+    this.addSlider('Volume', this.settings.volume, v => this.setVolume(v));
+    for (const layer of this.layers) {
+      this.addSlider(layer, this.settings[layer], v => this.setLayerVolume(layer, v));
+    }
+
+    this.el.append(this.muteButton, menuButton, this.menu);
+    // Keep clicks and keys on the controls from reaching the sketch's handlers
+    for (const type of ['mousedown', 'mouseup', 'click', 'touchstart', 'keydown']) {
+      this.el.addEventListener(type, e => e.stopPropagation());
+    }
+    container.appendChild(this.el);
+    this.refreshControls();
+  }
+
+  addSlider(label, value, write) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 4px 0';
+    const name = document.createElement('span');
+    name.textContent = label;
+    name.style.cssText = 'flex: 0 0 64px';
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = 0;
+    input.max = 1;
+    input.step = 0.01;
+    input.value = value;
+    input.style.cssText = 'flex: 1; min-width: 0';
+    input.addEventListener('input', () => write(Number(input.value)));
+    row.append(name, input);
+    this.menu.appendChild(row);
+  }
+
+  removeUnlock() {
+    if (!this.unlock) return;
+    document.removeEventListener('pointerdown', this.unlock);
+    document.removeEventListener('keydown', this.unlock);
+    this.unlock = null;
+  }
+
+  remove() {
+    this.removeUnlock();
+    if (this.ctx) this.ctx.close();
+    this.ctx = null;
+    if (this.el) this.el.remove();
+  }
+
+  refreshControls() {
+    if (!this.muteButton) return;
+    this.muteButton.textContent = this.settings.muted ? '♪ SOUND OFF' : '♪ SOUND ON';
+    this.muteButton.setAttribute('aria-pressed', String(!this.settings.muted));
+  }
+}
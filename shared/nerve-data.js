@@ -1,13 +1,88 @@
 // Shared Nerve Data Module
 // Handles live API fetching and simulation mode with robust error handling
+// Where live data comes from is decided by the source adapter (see nerve-sources.js)
+//
+// Transitions are published as events, so sketches and overlays can react
+// instead of comparing state every frame:
+//   nerve.on('regimeChange', ({ from, to }) => ...)
+//   regimeChange        { from, to }
+//   domainSpike         { domain, from, to }  target jumped by >= spikeThreshold
+//   domainsChange       { domains }           domain set discovered/changed
+//   sourceStatusChange  getStatus() snapshot  live/sim, reason, API and stream health
+//   dataReceived        { data, applied }     every valid payload from the source
+//   simFrame            { data, origin }      a frame made on the page was applied
+//                                             (origin: scenario, generator, timeline,
+//                                             override)
+//   simLevelChange      { level }
+//   themeChange         { name, theme }
+//   reducedMotionChange { reducedMotion }
+//   alert               see nerve-alerts.js
+//
+// Sketches run in p5 instance mode (nerve-sketch.js), so nothing here leans
+// on p5's globals; several sketches can share one NerveData, each calling
+// update() from its draw().
+
+// Regimes from calmest to most severe, each with the edge score it starts
+// at. Themes, alerts, the kiosk, scenarios and the generator all go by this
+// one list
+const NERVE_REGIMES = [
+  { name: 'CALM', from: -Infinity },
+  { name: 'ELEVATED', from: 0.25 },
+  { name: 'STRESSED', from: 0.5 },
+  { name: 'CRITICAL', from: 0.75 }
+];
+const NERVE_REGIME_ORDER = NERVE_REGIMES.map(r => r.name);
+
+// The regime an edge score falls in
+function nerveRegimeFor(edge) {
+  for (let i = NERVE_REGIMES.length - 1; i > 0; i--) {
+    if (edge >= NERVE_REGIMES[i].from) return NERVE_REGIMES[i].name;
+  }
+  return NERVE_REGIMES[0].name;
+}
+
+// ms since the page loaded
+function nerveMillis() {
+  return performance.now();
+}
+
+function nerveLerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function nerveConstrain(value, low, high) {
+  return Math.min(Math.max(value, low), high);
+}
 
 class NerveData {
-  constructor() {
-    this.API_URL = 'https://nerve-engine.onrender.com/current';
+  constructor(options = {}) {
+    // Embeds pass pageConfig: false so the host page's URL and NERVE_CONFIG,
+    // its remembered theme and motion picks and its page-wide colors neither
+    // reach them nor get written by them
+    this.pageWide = options.pageConfig !== false;
+    const config = Object.assign({}, this.pageWide ? nerveConfigFromPage() : {}, options);
+    this.teardown = []; // Removes document and media listeners on close()
+    // A misconfigured source (unknown type, static without a url) shouldn't
+    // take the page down: fall back to the default live API
+    try {
+      this.source = createNerveSource(config.source);
+    } catch (e) {
+      console.warn(`Nerve source config ignored (${e.message}), using the default`);
+      this.source = createNerveSource();
+    }
     this.edgeScore = 0.1;
     this.fragility = 0.0;
     this.momentum = 0.0;
+    this.momentumScale = config.momentumScale || 0.1; // |momentum| that counts as full speed
+    this.momentumTrend = 0.0; // Smoothed momentum in -1 (improving fast) … 1 (worsening fast)
     this.regime = 'CALM';
+    this.listeners = {};
+    this.lastStatusKey = null;
+    this.spikeThreshold = config.spikeThreshold || 0.15;
+    
+    // Domains are discovered from the payload; these five are only the
+    // starting set until the first one arrives. domainsVersion bumps on every
+    // change to the set so sketches know to rebuild their per-domain layout.
     this.domains = {
       'Markets': { score: 0.01 },
       'Climate': { score: 0.01 },
@@ -15,8 +90,26 @@ class NerveData {
       'Social/Conflict': { score: 0.01 },
       'Supply Chain': { score: 0.5 }
     };
-    this.lastUpdate = null;
+    this.domainsVersion = 0;
+    this.maxDomains = 12;
+    
+    // Colors come from the theme (nerve-themes.js); config.domainColors pins single domains
+    this.configDomainColors = config.domainColors || {};
+    this.themeKey = this.pageWide ? 'nerve:theme' : null;
+    // Regime and theme changes cross-fade the palette over paletteFade ms (0 to cut)
+    this.paletteFade = config.paletteFade !== undefined ? config.paletteFade : 2000;
+    this.paletteFrom = null;
+    this.paletteChangedAt = 0;
+    this.theme = null;
+    this.themeName = null;
+    this.domainColors = {};
+    this.setTheme(config.theme || this.readStoredTheme() || 'default');
+    // The page's sound settings, for the sketches to hand to NerveAudio
+    this.audioConfig = config.audio || {};
+    this.lastUpdate = null; // Timestamp of the last real payload
+    this.simFrameTime = null; // Timestamp of the last frame made on the page
     this.simMode = true; // Start in sim mode by default to avoid blocking on API
+    this.simReason = 'fallback'; // 'manual' when the user chose sim, 'fallback' when failures forced it, 'replay' for timeline playback, 'scenario' for a scripted scenario, 'generative' for the seeded generator, null when live
     this.apiAvailable = false; // Track if API is working
     this.simLevel = 0;
     this.simLevels = [
@@ -31,137 +124,600 @@ class NerveData {
     ];
     this.targetEdge = this.edgeScore;
     this.targetDomains = { ...this.domains };
+    if (config.domains) this.setDomains(config.domains);
     this.lerpSpeed = 0.02;
+    this.updatedThisFrame = false; // set by update(), cleared on the next animation frame
+    
+    // Reduced motion: sketches drop tremble, bursts and flicker and slow
+    // down; values and palettes ease in more gently. Follows the OS setting
+    // unless the page (config.reducedMotion, ?motion=reduced) or a runtime
+    // toggle (remembered) decides
+    this.motionKey = this.pageWide ? 'nerve:reducedMotion' : null;
+    this.reducedMotion = false;
+    this.initReducedMotion(config.reducedMotion);
     this.fetchInterval = 60000; // 1 minute
     this.lastFetch = 0;
     this.fetchTimeout = 8000; // 8 second timeout for API requests
+    this.streaming = false; // True while a push source is delivering frames
+    this.connecting = true; // Until the first fetch settles one way or the other
+    this.lastLatency = null; // ms taken by the last successful fetch
+    this.lastError = null; // { message, at } from the last failed fetch or stream drop
+    this.unsubscribe = null;
+    
+    // Health checks while in fallback sim: exponential backoff with jitter
+    this.retryBaseDelay = 5000;
+    this.retryMaxDelay = 300000; // 5 minutes
+    this.retryAttempt = 0;
+    this.nextRetryAt = Infinity; // Set once the initial fetch settles
+    this.checkingHealth = false;
+    
+    // Last payload from the source, kept across reloads (localStorage) so a
+    // boot without the API shows real, clearly stale data instead of defaults.
+    // One per network source, so demo, staging and mock data never turn up
+    // as the live engine's
+    this.cacheKey = config.cacheKey !== undefined ? config.cacheKey : this.sourceCacheKey();
+    this.staleSince = null; // Timestamp of the data on screen while it's known to be old
+    this.restoreCachedData();
+    
+    // Historical series (loaded on demand) and the timeline replaying it
+    this.historyConfig = config.history || null;
+    this.historyRequests = {};
+    this.timeline = null;
+    if (config.replay && typeof NerveTimeline !== 'undefined') {
+      this.timeline = new NerveTimeline(this, config.replay);
+      this.timeline.start();
+    }
+    
+    // Scripted scenario (nerve-scenario.js) currently playing
+    this.scenario = null;
+    this.scenarioStart = 0;
+    if (config.scenario && typeof NerveScenario !== 'undefined') {
+      this.loadScenario(config.scenario);
+    }
+    
+    // Generative sim (nerve-generator.js): evolving seeded data in place of
+    // the fixed presets, whether chosen with ?sim=generative or forced by failures
+    this.generator = null;
+    this.generatorClock = 0;
+    this.generatorDomainsVersion = -1;
+    if (config.sim === 'generative' && typeof NerveSimGenerator !== 'undefined') {
+      this.startGenerator(config.generator);
+    }
+    
+    // Session recording (nerve-recorder.js) and playback of a recorded session
+    this.recorder = null;
+    this.playback = null;
+    if (typeof NerveRecorder !== 'undefined') {
+      NerveRecorder.attach(this, config);
+    }
+    
+    // Threshold and regime alerts (nerve-alerts.js)
+    this.alerts = null;
+    if (typeof NerveAlerts !== 'undefined') {
+      this.alerts = NerveAlerts.attach(this, config);
+    }
+    
+    // Screen-reader announcements (nerve-a11y.js)
+    this.announcer = null;
+    if (typeof NerveAnnouncer !== 'undefined') {
+      this.announcer = NerveAnnouncer.attach(this, config);
+    }
+    
+    // Connection status readout (nerve-status.js)
+    this.statusIndicator = null;
+    if (typeof NerveStatusIndicator !== 'undefined') {
+      this.statusIndicator = NerveStatusIndicator.attach(this, config);
+    }
+    
+    // Slider overrides for sim mode (nerve-panel.js)
+    this.panel = null;
+    if (typeof NervePanel !== 'undefined') {
+      this.panel = NervePanel.attach(this, config);
+    }
     
     // Try to fetch API in background on initialization
+    this.startStream();
     this.tryInitialFetch();
   }
 
   async tryInitialFetch() {
     // Silently try to fetch API data in the background
     // If it works, switch to live mode automatically
-    try {
-      const data = await this.fetchLive();
-      if (data && data.edge_score !== undefined) {
-        this.apiAvailable = true;
-        this.simMode = false; // Switch to live mode if API is working
-        console.log('Nerve API connected successfully');
-      }
-    } catch (e) {
-      // Silently stay in simulation mode
+    const data = await this.fetchLive();
+    this.connecting = false;
+    this.notifyStatus();
+    if (data && this.simReason === 'fallback') {
+      this.goLive(data);
+      console.log('Nerve API connected successfully');
+    } else if (!data) {
+      // Stay in simulation mode and keep checking in the background
       console.log('Starting in simulation mode (API unavailable)');
+      this.scheduleRetry();
     }
   }
 
-  async fetchLive() {
-    try {
-      // Create an AbortController for timeout
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.fetchTimeout);
-      
-      const resp = await fetch(this.API_URL, {
-        signal: controller.signal,
-        headers: {
-          'Accept': 'application/json'
-        }
-      });
-      
-      clearTimeout(timeoutId);
-      
-      // Check if response is OK
-      if (!resp.ok) {
-        throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
-      }
-      
-      // Check content type before parsing
-      const contentType = resp.headers.get('content-type');
-      if (!contentType || !contentType.includes('application/json')) {
-        throw new Error(`Expected JSON, got ${contentType}`);
-      }
-      
-      // Get response text first to handle parse errors gracefully
-      const text = await resp.text();
-      
-      // Try to parse JSON
-      let data;
+  // Subscribe to an event; returns a function that unsubscribes
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+  }
+
+  emit(event, detail) {
+    for (const handler of this.listeners[event] || []) {
       try {
-        data = JSON.parse(text);
-      } catch (parseError) {
-        throw new Error(`JSON parse failed: ${parseError.message}`);
-      }
-      
-      // Validate data structure
-      if (typeof data.edge_score !== 'number' || !data.regime) {
-        throw new Error('Invalid data structure from API');
+        handler(detail);
+      } catch (e) {
+        // One broken overlay shouldn't stop the data flowing to the rest
+        console.warn(`Nerve ${event} handler failed:`, e);
       }
-      
-      // Update values if not in simulation mode
-      if (!this.simMode) {
-        this.targetEdge = data.edge_score;
-        this.fragility = data.fragility_ratio || 0.0;
-        this.momentum = data.momentum || 0.0;
-        this.regime = data.regime;
-        this.lastUpdate = data.timestamp;
-        
-        // Update domain scores safely
-        if (data.domain_scores && typeof data.domain_scores === 'object') {
-          for (let d in data.domain_scores) {
-            if (this.domains[d] && typeof data.domain_scores[d].score === 'number') {
-              this.targetDomains[d] = { score: data.domain_scores[d].score };
-            }
-          }
+    }
+  }
+
+  getStatus() {
+    return {
+      simMode: this.simMode,
+      simReason: this.simReason,
+      apiAvailable: this.apiAvailable,
+      streaming: this.streaming,
+      source: this.source.type,
+      staleSince: this.staleSince,
+      generating: this.isGenerating(),
+      connecting: this.connecting,
+      checkingHealth: this.checkingHealth,
+      nextRetryAt: this.nextRetryAt,
+      lastLatency: this.lastLatency,
+      lastError: this.lastError
+    };
+  }
+
+  // Emit sourceStatusChange only when something in getStatus() actually moved
+  notifyStatus() {
+    const status = this.getStatus();
+    const key = JSON.stringify(status);
+    if (key === this.lastStatusKey) return;
+    this.lastStatusKey = key;
+    this.emit('sourceStatusChange', status);
+  }
+
+  // Every live/sim transition goes through here so listeners hear about it
+  setMode(simMode, simReason) {
+    if (this.simMode === simMode && this.simReason === simReason) return;
+    this.simMode = simMode;
+    this.simReason = simReason;
+    // Anything but the fallback replaces what's on screen
+    if (simReason !== 'fallback') this.staleSince = null;
+    this.notifyStatus();
+  }
+
+  setRegime(regime) {
+    if (regime === this.regime) return;
+    const from = this.regime;
+    this.startPaletteFade();
+    this.regime = regime;
+    this.emit('regimeChange', { from, to: regime });
+  }
+
+  setDomainTarget(domain, score) {
+    const from = this.targetDomains[domain] ? this.targetDomains[domain].score : score;
+    this.targetDomains[domain] = { score };
+    if (score - from >= this.spikeThreshold) {
+      this.emit('domainSpike', { domain, from, to: score });
+    }
+  }
+
+  goLive(data) {
+    this.apiAvailable = true;
+    this.setMode(false, null);
+    this.notifyStatus();
+    this.retryAttempt = 0;
+    this.nextRetryAt = 0;
+    this.applyLiveData(data);
+    this.lastFetch = nerveMillis();
+  }
+
+  scheduleRetry() {
+    const delay = Math.min(this.retryBaseDelay * Math.pow(2, this.retryAttempt), this.retryMaxDelay);
+    // Keep half the delay, randomize the rest so a wall of screens doesn't retry in lockstep
+    this.nextRetryAt = nerveMillis() + delay / 2 + Math.random() * delay / 2;
+    this.retryAttempt++;
+    this.notifyStatus();
+  }
+
+  async checkHealth() {
+    this.checkingHealth = true;
+    this.notifyStatus();
+    const data = await this.fetchLive();
+    this.checkingHealth = false;
+    this.notifyStatus();
+    
+    // The user may have picked sim on purpose while we were waiting
+    if (!this.simMode || this.simReason !== 'fallback') return;
+    
+    if (data) {
+      console.log('Nerve API answering again, resuming live data');
+      this.goLive(data);
+    } else {
+      this.scheduleRetry();
+    }
+  }
+
+  // Push-based live mode: frames are applied the moment they arrive
+  // instead of waiting for the next fetchInterval poll
+  startStream() {
+    if (typeof this.source.subscribe !== 'function') return;
+
+    this.unsubscribe = this.source.subscribe({
+      onFrame: (data) => {
+        try {
+          this.ingestLiveData(data);
+          this.streaming = true;
+          this.notifyStatus();
+        } catch (e) {
+          console.warn(`Nerve ${this.source.type} frame rejected:`, e.message);
+          this.lastError = { message: e.message, at: Date.now() };
+          this.notifyStatus();
         }
-      }
-      
-      this.apiAvailable = true;
+      },
+      onError: (err) => {
+        if (this.streaming) {
+          console.warn(`Nerve ${this.source.type} stream dropped, reconnecting:`, err.message);
+        }
+        this.streaming = false;
+        this.lastError = { message: err.message, at: Date.now() };
+        this.notifyStatus();
+      },
+      onUnavailable: () => this.fallBackToPolling()
+    });
+  }
+
+  // Drop the stream and the source's connections, e.g. once the last
+  // sketch drawing from this instance is gone
+  close() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    this.streaming = false;
+    if (this.source.close) this.source.close();
+    for (const remove of this.teardown.splice(0)) remove();
+  }
+
+  fallBackToPolling() {
+    const pollUrl = this.source.pollUrl;
+    console.log(`Nerve ${this.source.type} streaming not offered, polling ${pollUrl} instead`);
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    this.source.close();
+    this.streaming = false;
+    this.source = createNerveSource({ type: 'http', url: pollUrl, timeout: this.fetchTimeout });
+    this.notifyStatus();
+    this.tryInitialFetch();
+  }
+
+  async fetchLive() {
+    const started = nerveMillis();
+    try {
+      const data = await this.source.fetch();
+      this.lastLatency = Math.round(nerveMillis() - started);
+      this.lastError = null;
+      this.ingestLiveData(data);
       return data;
       
     } catch (e) {
+      this.lastError = { message: e.name === 'AbortError' ? 'Timed out' : e.message, at: Date.now() };
+
       // Handle all errors gracefully
       if (e.name === 'AbortError') {
-        console.warn('Nerve API request timed out');
+        console.warn(`Nerve ${this.source.type} source timed out`);
       } else {
-        console.warn('Nerve API fetch failed:', e.message);
+        console.warn(`Nerve ${this.source.type} source failed:`, e.message);
       }
       
       this.apiAvailable = false;
+      this.notifyStatus();
       
       // If we're not in sim mode and API fails, switch to sim mode silently
+      // and start health checks so we come back on our own
       if (!this.simMode) {
         console.log('Switching to simulation mode due to API failure');
-        this.simMode = true;
+        this.staleSince = this.lastUpdate;
+        this.setMode(true, 'fallback');
+        this.retryAttempt = 0;
+        this.scheduleRetry();
       }
       
       return null;
     }
   }
 
+  // Validate a raw payload and, unless simulating, make it the new target
+  ingestLiveData(data) {
+    if (!data || typeof data.edge_score !== 'number' || !data.regime) {
+      throw new Error('Invalid data structure from API');
+    }
+    
+    // Update values if not in simulation mode
+    if (!this.simMode) {
+      this.applyLiveData(data);
+    }
+    
+    this.apiAvailable = true;
+    this.writeCache(data);
+    this.emit('dataReceived', { data, applied: !this.simMode });
+    this.notifyStatus();
+  }
+
+  // Frames made on the page rather than received from the source; announced
+  // so a session recording can keep them. Their timestamps go in
+  // simFrameTime: lastUpdate stays the time of the last real payload.
+  applySimFrame(data, origin) {
+    this.applyPayload(data);
+    this.simFrameTime = data.timestamp;
+    this.emit('simFrame', { data, origin });
+  }
+
+  // A hand-set value from the override panel (nerve-panel.js), as a partial
+  // payload: the current targets with those fields replaced. Manual sim, so
+  // live data doesn't overwrite it.
+  applyOverride(override) {
+    const domainScores = {};
+    for (const d of this.getDomainNames()) domainScores[d] = { score: this.targetDomains[d].score };
+    const data = Object.assign({
+      edge_score: this.targetEdge,
+      fragility_ratio: this.fragility,
+      momentum: this.momentum,
+      regime: this.regime,
+      timestamp: new Date().toISOString()
+    }, override);
+    data.domain_scores = Object.assign(domainScores, override.domain_scores);
+    this.setMode(true, 'manual');
+    this.applySimFrame(data, 'override');
+  }
+
+  applyLiveData(data) {
+    this.applyPayload(data);
+    this.lastUpdate = data.timestamp;
+  }
+
+  // Make a payload's readings the new targets
+  applyPayload(data) {
+    this.targetEdge = data.edge_score;
+    this.fragility = data.fragility_ratio || 0.0;
+    this.momentum = data.momentum || 0.0;
+    this.setRegime(data.regime);
+    
+    // Update domain scores safely — the payload's domains become the domain set
+    if (data.domain_scores && typeof data.domain_scores === 'object') {
+      const names = Object.keys(data.domain_scores).filter(d =>
+        data.domain_scores[d] && typeof data.domain_scores[d].score === 'number');
+      if (names.length > 0) {
+        this.setDomains(names);
+      }
+      for (let d of names) {
+        if (this.targetDomains[d]) {
+          this.setDomainTarget(d, data.domain_scores[d].score);
+        }
+      }
+    }
+  }
+
+  // Only network sources (http, sse, ws) are cached, keyed by type and url;
+  // memory, static and custom sources have nothing real to keep
+  sourceCacheKey() {
+    const { type, url } = this.source;
+    if (!['http', 'sse', 'ws'].includes(type)) return null;
+    return `nerve:lastKnownGood:${type}:${url}`;
+  }
+
+  readCache() {
+    if (!this.cacheKey || typeof localStorage === 'undefined') return null;
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.cacheKey));
+      if (!cached || !cached.data || typeof cached.data.edge_score !== 'number' || !cached.data.regime) return null;
+      return cached;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  writeCache(data) {
+    if (!this.cacheKey || typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.cacheKey, JSON.stringify({ data, savedAt: new Date().toISOString() }));
+    } catch (e) {
+      // Storage full or blocked (private browsing) — the cache is best effort
+    }
+  }
+
+  // Boot on the last payload a previous session received, flagged as stale
+  // until live data, a sim level, a replay or a scenario takes over
+  restoreCachedData() {
+    const cached = this.readCache();
+    if (!cached) return;
+    this.applyLiveData(cached.data);
+    this.lastUpdate = cached.data.timestamp || cached.savedAt;
+    this.staleSince = this.lastUpdate;
+    // Start on the cached reading rather than easing up from the defaults
+    this.edgeScore = this.targetEdge;
+    for (let d in this.domains) {
+      this.domains[d].score = this.targetDomains[d].score;
+    }
+    console.log(`Showing last known data from ${this.staleSince} until the source answers`);
+  }
+
+  // Time-ordered payloads for the last `days` days, from a configured local
+  // file if there is one, otherwise from the source. Cached per range.
+  loadHistory(options = {}) {
+    const days = options.days || 30;
+    if (!this.historyRequests[days]) {
+      // Inside then() so a custom adapter that throws, or has no history at
+      // all, still ends in the empty series below
+      const request = Promise.resolve().then(() => {
+        if (this.historyConfig) {
+          return fetchNerveHistory(this.historyConfig, { days, timeout: this.fetchTimeout, local: true });
+        }
+        if (typeof this.source.fetchHistory !== 'function') {
+          throw new Error(`the ${this.source.type || 'custom'} source has no history`);
+        }
+        return this.source.fetchHistory({ days });
+      });
+      this.historyRequests[days] = request.catch(e => {
+        console.warn('Nerve history unavailable:', e.message);
+        delete this.historyRequests[days];
+        return [];
+      });
+    }
+    return this.historyRequests[days];
+  }
+
+  startReplay() {
+    this.setMode(true, 'replay');
+  }
+
+  // Leaving replay goes back to live data as soon as the source answers
+  stopReplay() {
+    if (this.simReason !== 'replay') return;
+    this.setMode(true, 'fallback');
+    this.retryAttempt = 0;
+    this.nextRetryAt = 0;
+  }
+
+  async loadScenario(url) {
+    try {
+      this.playScenario(await NerveScenario.load(url));
+    } catch (e) {
+      console.warn(`Nerve scenario ${url} failed to load:`, e.message);
+    }
+  }
+
+  // Play a scenario (a NerveScenario or its JSON spec) from the start
+  playScenario(scenario) {
+    if (!(scenario instanceof NerveScenario)) scenario = new NerveScenario(scenario);
+    this.scenario = scenario;
+    this.scenarioStart = nerveMillis();
+    this.setMode(true, 'scenario');
+    console.log(`Playing scenario: ${scenario.name}`);
+    this.updateScenario();
+  }
+
+  // Leaving a scenario goes back to live data as soon as the source answers
+  stopScenario() {
+    this.scenario = null;
+    if (this.simReason === 'scenario') {
+      this.setMode(true, 'fallback');
+      this.retryAttempt = 0;
+      this.nextRetryAt = 0;
+    }
+  }
+
+  updateScenario() {
+    // Something else (SPACE, a click, a replay) took the data back
+    if (this.simReason !== 'scenario') {
+      this.scenario = null;
+      return;
+    }
+
+    let elapsed = (nerveMillis() - this.scenarioStart) / 1000;
+    if (elapsed >= this.scenario.duration && this.scenario.loop) {
+      this.scenarioStart = nerveMillis();
+      elapsed = 0;
+    }
+    // A finished scenario holds its last keyframe on screen
+    this.applySimFrame(this.scenario.frameAt(Math.min(elapsed, this.scenario.duration)), 'scenario');
+  }
+
+  // Run the seeded generator (options: seed, correlation, hysteresis, ...)
+  startGenerator(options = {}) {
+    this.generator = new NerveSimGenerator(this.getDomainNames(), options);
+    this.generatorDomainsVersion = this.domainsVersion;
+    this.generatorClock = nerveMillis();
+    this.setMode(true, 'generative');
+    console.log(`Generative simulation, seed ${this.generator.seed}`);
+    this.generator.step();
+    this.applySimFrame(this.generator.frame(), 'generator');
+  }
+
+  // Leaving the generator goes back to live data as soon as the source answers
+  stopGenerator() {
+    this.generator = null;
+    if (this.simReason === 'generative') {
+      this.setMode(true, 'fallback');
+      this.retryAttempt = 0;
+      this.nextRetryAt = 0;
+    }
+  }
+
+  // The generator drives the data when chosen, and stands in while failures
+  // hold the data in fallback
+  isGenerating() {
+    return !!this.generator && (this.simReason === 'generative' || this.simReason === 'fallback');
+  }
+
+  updateGenerator() {
+    // The walk pauses while live data, presets, replays or scenarios are showing
+    if (!this.isGenerating()) {
+      this.generatorClock = nerveMillis();
+      return;
+    }
+    if (this.generatorDomainsVersion !== this.domainsVersion) {
+      this.generator.setDomains(this.getDomainNames());
+      this.generatorDomainsVersion = this.domainsVersion;
+    }
+
+    // Fixed one-second steps whatever the frame rate, so a seed always plays
+    // out the same; a long stall (hidden tab) resumes instead of catching up
+    let steps = Math.floor((nerveMillis() - this.generatorClock) / 1000);
+    if (steps === 0) return;
+    if (steps > 60) {
+      steps = 1;
+      this.generatorClock = nerveMillis() - 1000;
+    }
+    for (let i = 0; i < steps; i++) {
+      this.generator.step();
+    }
+    this.generatorClock += steps * 1000;
+    // Generated frames replace the stale reading on screen
+    this.staleSince = null;
+    this.applySimFrame(this.generator.frame(), 'generator');
+  }
+
   setSimLevel(level) {
+    this.setMode(true, 'manual');
+    this.applySimLevel(level);
+    this.emit('simLevelChange', { level: this.simLevel });
+  }
+
+  applySimLevel(level) {
     this.simLevel = level % this.simLevels.length;
     const sim = this.simLevels[this.simLevel];
-    this.simMode = true;
+    // Presets carry no momentum of their own — use the direction of the step
+    this.momentum = sim.momentum !== undefined ? sim.momentum : sim.edge - this.targetEdge;
     this.targetEdge = sim.edge;
-    this.regime = sim.regime;
+    this.setRegime(sim.regime);
     this.fragility = sim.fragility;
-    for (let d in sim.domains) {
-      if (this.targetDomains[d]) {
-        this.targetDomains[d] = { score: sim.domains[d] };
-      }
+    // Domains the preset doesn't know about track the edge score
+    for (let d in this.targetDomains) {
+      const score = sim.domains[d] !== undefined ? sim.domains[d] : sim.edge;
+      this.setDomainTarget(d, score);
     }
   }
 
   toggleSimMode() {
-    if (this.apiAvailable) {
-      this.simMode = !this.simMode;
-      if (!this.simMode) {
-        this.fetchLive();
-      }
+    if (!this.simMode) {
+      this.setMode(true, 'manual');
+    } else if (this.apiAvailable) {
+      this.setMode(false, null);
+      this.fetchLive();
     } else {
-      // If API is not available, stay in sim mode
-      console.log('API not available, staying in simulation mode');
+      // If API is not available, stay in sim mode but check right away
+      // and keep checking, so live data takes over once it answers
+      console.log('API not available, staying in simulation mode until it answers');
+      this.setMode(true, 'fallback');
+      this.retryAttempt = 0;
+      this.nextRetryAt = 0;
     }
   }
 
@@ -169,79 +725,268 @@ class NerveData {
     this.setSimLevel(this.simLevel + 1);
   }
 
+  prevSimLevel() {
+    this.setSimLevel(this.simLevel + this.simLevels.length - 1);
+  }
+
   update() {
+    // With several sketches drawing from this instance, only the first
+    // update() of each animation frame moves the data on. p5 asks for its
+    // next frame after draw(), so this reset runs ahead of every sketch's.
+    if (this.updatedThisFrame) return;
+    if (typeof requestAnimationFrame !== 'undefined') {
+      this.updatedThisFrame = true;
+      requestAnimationFrame(() => { this.updatedThisFrame = false; });
+    }
+    
     // Smooth interpolation toward target values
-    this.edgeScore = lerp(this.edgeScore, this.targetEdge, this.lerpSpeed);
+    const speed = this.reducedMotion ? this.lerpSpeed / 3 : this.lerpSpeed;
+    this.edgeScore = nerveLerp(this.edgeScore, this.targetEdge, speed);
+    const momentumTarget = nerveConstrain(this.momentum / this.momentumScale, -1, 1);
+    this.momentumTrend = nerveLerp(this.momentumTrend, momentumTarget, speed);
     for (let d in this.domains) {
       if (this.targetDomains[d]) {
-        this.domains[d].score = lerp(this.domains[d].score, this.targetDomains[d].score, this.lerpSpeed);
+        this.domains[d].score = nerveLerp(this.domains[d].score, this.targetDomains[d].score, speed);
       }
     }
 
-    // Periodic fetch (only if not in sim mode)
-    if (!this.simMode && millis() - this.lastFetch > this.fetchInterval) {
-      this.lastFetch = millis();
+    // Periodic fetch (only if not in sim mode, and not while frames are streaming in)
+    if (!this.simMode && !this.streaming && nerveMillis() - this.lastFetch > this.fetchInterval) {
+      this.lastFetch = nerveMillis();
       this.fetchLive();
     }
+
+    if (this.timeline) {
+      this.timeline.update();
+    }
+    if (this.playback) {
+      this.playback.update();
+    }
+    if (this.scenario) {
+      this.updateScenario();
+    }
+    if (this.generator) {
+      this.updateGenerator();
+    }
+    if (this.panel) {
+      this.panel.refresh();
+    }
+    if (this.alerts) {
+      this.alerts.update();
+    }
+    if (this.announcer) {
+      this.announcer.update();
+    }
+
+    // Background health checks (only if failures forced us into sim mode)
+    if (this.simMode && this.simReason === 'fallback' && !this.checkingHealth && nerveMillis() >= this.nextRetryAt) {
+      this.checkHealth();
+    }
   }
 
+  // The regime's palette, blended in from the previous one for paletteFade ms
   getRegimeColors() {
-    switch (this.regime) {
-      case 'CALM':
-        return {
-          bg: [8, 12, 24],
-          primary: [60, 130, 200],
-          secondary: [40, 90, 160],
-          accent: [100, 180, 255],
-          glow: [80, 160, 240, 30]
-        };
-      case 'ELEVATED':
-        return {
-          bg: [18, 14, 8],
-          primary: [220, 160, 50],
-          secondary: [180, 120, 30],
-          accent: [255, 200, 80],
-          glow: [240, 180, 60, 30]
-        };
-      case 'STRESSED':
-        return {
-          bg: [20, 8, 8],
-          primary: [200, 50, 40],
-          secondary: [160, 30, 25],
-          accent: [255, 80, 60],
-          glow: [240, 60, 40, 30]
-        };
-      case 'CRITICAL':
-        return {
-          bg: [12, 4, 4],
-          primary: [255, 30, 10],
-          secondary: [200, 10, 5],
-          accent: [255, 100, 20],
-          glow: [255, 40, 10, 40]
-        };
-      default:
-        return {
-          bg: [8, 12, 24],
-          primary: [60, 130, 200],
-          secondary: [40, 90, 160],
-          accent: [100, 180, 255],
-          glow: [80, 160, 240, 30]
-        };
+    const target = this.theme.regimes[this.regime] || this.theme.regimes.CALM;
+    if (!this.paletteFrom) return target;
+    const fade = this.reducedMotion ? this.paletteFade * 2 : this.paletteFade;
+    const t = (nerveMillis() - this.paletteChangedAt) / fade;
+    if (t >= 1) {
+      this.paletteFrom = null;
+      return target;
     }
+    return blendNervePalettes(this.paletteFrom, target, -(Math.cos(Math.PI * t) - 1) / 2);
   }
 
-  getDomainColor(domain) {
-    const colors = {
-      'Markets': [65, 185, 255],
-      'Climate': [50, 220, 130],
-      'Information': [200, 140, 255],
-      'Social/Conflict': [255, 120, 80],
-      'Supply Chain': [255, 210, 60]
+  // Fade from whatever is on screen now, even halfway through another fade
+  startPaletteFade() {
+    if (!this.theme || this.paletteFade <= 0) return;
+    this.paletteFrom = this.getRegimeColors();
+    this.paletteChangedAt = nerveMillis();
+  }
+
+  // A built-in theme name, a theme JSON URL, or a theme object.
+  // remember: keep the choice for the next visit (names and URLs only)
+  setTheme(theme, remember = false) {
+    const apply = resolved => {
+      this.applyTheme(resolved, typeof theme === 'string' ? theme : resolved.name);
+      if (remember && typeof theme === 'string') this.storeTheme(theme);
     };
-    return colors[domain] || [180, 180, 180];
+    // Whatever goes wrong, sketches keep a theme to draw with
+    const fail = e => {
+      console.warn(`Nerve theme ${typeof theme === 'string' ? theme : '(inline)'} failed to load:`, e.message);
+      if (!this.theme) this.applyTheme(resolveNerveTheme(NERVE_THEMES.default), 'default');
+    };
+    try {
+      // Built-ins apply right away so the first frame is already themed;
+      // a URL draws with the default until it has loaded
+      if (typeof theme === 'string' && !NERVE_THEMES[theme]) {
+        if (!this.theme) this.applyTheme(resolveNerveTheme(NERVE_THEMES.default), 'default');
+        return loadNerveTheme(theme).then(apply).catch(fail);
+      }
+      apply(resolveNerveTheme(typeof theme === 'string' ? NERVE_THEMES[theme] : theme));
+    } catch (e) {
+      fail(e);
+    }
+  }
+
+  applyTheme(theme, name) {
+    this.startPaletteFade();
+    this.theme = theme;
+    this.themeName = name;
+    this.domainColors = Object.assign({}, theme.domains, this.configDomainColors);
+    // Overlays (status, panel, timeline) read their text color from here;
+    // embeds set it on their own element instead
+    if (this.pageWide && typeof document !== 'undefined') nerveThemeVariables(document.documentElement, theme);
+    this.emit('themeChange', { name, theme });
+  }
+
+  // Step through the built-in themes, remembering the pick
+  nextTheme() {
+    const names = Object.keys(NERVE_THEMES);
+    const next = names[(names.indexOf(this.themeName) + 1) % names.length];
+    this.setTheme(next, true);
+    console.log(`Theme: ${this.theme.name}`);
+  }
+
+  readStoredTheme() {
+    if (!this.themeKey || typeof localStorage === 'undefined') return null;
+    try {
+      return localStorage.getItem(this.themeKey);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  storeTheme(name) {
+    if (!this.themeKey || typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.themeKey, name);
+    } catch (e) {
+      // Blocked storage just means the pick lasts for this visit
+    }
+  }
+
+  // An explicit choice wins; otherwise a remembered toggle, then the OS
+  initReducedMotion(choice) {
+    const stored = this.readStoredMotion();
+    if (choice !== undefined) {
+      this.reducedMotion = !!choice;
+    } else if (stored !== null) {
+      this.reducedMotion = stored;
+    } else if (typeof matchMedia !== 'undefined') {
+      const query = matchMedia('(prefers-reduced-motion: reduce)');
+      this.reducedMotion = query.matches;
+      // Keep following the OS until someone picks for this page
+      const onChange = e => {
+        if (this.readStoredMotion() === null) this.setReducedMotion(e.matches);
+      };
+      query.addEventListener('change', onChange);
+      this.teardown.push(() => query.removeEventListener('change', onChange));
+    }
+  }
+
+  setReducedMotion(on, remember = false) {
+    if (remember) this.storeMotion(on);
+    if (on === this.reducedMotion) return;
+    this.reducedMotion = on;
+    this.emit('reducedMotionChange', { reducedMotion: on });
+  }
+
+  toggleReducedMotion() {
+    this.setReducedMotion(!this.reducedMotion, true);
+    console.log(`Reduced motion: ${this.reducedMotion ? 'on' : 'off'}`);
+  }
+
+  readStoredMotion() {
+    if (!this.motionKey || typeof localStorage === 'undefined') return null;
+    try {
+      const stored = localStorage.getItem(this.motionKey);
+      return stored === null ? null : stored === '1';
+    } catch (e) {
+      return null;
+    }
+  }
+
+  storeMotion(on) {
+    if (!this.motionKey || typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.motionKey, on ? '1' : '0');
+    } catch (e) {
+      // Blocked storage just means the pick lasts for this visit
+    }
+  }
+
+  // Replace the domain set, keeping scores for domains that stay
+  setDomains(names) {
+    const offered = names.length;
+    names = names.slice(0, this.maxDomains);
+    const current = Object.keys(this.domains);
+    if (names.length === current.length && names.every((d, i) => d === current[i])) return;
+    if (offered > this.maxDomains) {
+      console.warn(`Nerve payload has ${offered} domains, showing the first ${this.maxDomains}`);
+    }
+
+    const domains = {};
+    const targets = {};
+    for (let d of names) {
+      domains[d] = this.domains[d] || { score: 0.01 };
+      targets[d] = this.targetDomains[d] || { score: domains[d].score };
+    }
+    this.domains = domains;
+    this.targetDomains = targets;
+    this.domainsVersion++;
+    this.emit('domainsChange', { domains: names });
+  }
+
+  getDomainColor(domain) {
+    if (!this.domainColors[domain]) {
+      this.domainColors[domain] = this.generateDomainColor(domain);
+    }
+    return this.domainColors[domain];
+  }
+
+  // Stable color for a domain nobody configured: picked by a hash of the
+  // name, so the same domain looks the same in every sketch and session.
+  // From the theme's palette if it has one, otherwise a hashed hue
+  generateDomainColor(domain) {
+    let hash = 0;
+    for (let i = 0; i < domain.length; i++) {
+      hash = (hash * 31 + domain.charCodeAt(i)) | 0;
+    }
+    if (this.theme.palette) {
+      return this.theme.palette[Math.abs(hash) % this.theme.palette.length];
+    }
+    const hue = (Math.abs(hash) * 137.508) % 360;
+    const s = this.theme.generated.saturation;
+    const v = this.theme.generated.value;
+    const k = (n) => (n + hue / 60) % 6;
+    const f = (n) => v - v * s * Math.max(0, Math.min(k(n), 4 - k(n), 1));
+    return [Math.round(f(5) * 255), Math.round(f(3) * 255), Math.round(f(1) * 255)];
+  }
+
+  // Short direction-of-travel label for score displays
+  getMomentumLabel() {
+    if (this.momentumTrend > 0.15) return '▲ WORSENING';
+    if (this.momentumTrend < -0.15) return '▼ EASING';
+    return '◆ STEADY';
+  }
+
+  // "STALE SINCE 3 OCT, 14:32" while the data on screen is known to be old, else null
+  getStaleLabel() {
+    if (!this.staleSince) return null;
+    const since = new Date(this.staleSince);
+    if (isNaN(since)) return 'STALE';
+    const when = since.toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+    return `STALE SINCE ${when.toUpperCase()}`;
   }
 
   getDomainNames() {
     return Object.keys(this.domains);
   }
 }
+
+// Also loadable from Node, for the regime list (nerve-scenario.js and
+// nerve-generator.js in mock-server/server.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NerveData, NERVE_REGIMES, NERVE_REGIME_ORDER, nerveRegimeFor };
+}
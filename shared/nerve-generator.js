@@ -0,0 +1,167 @@
+// Shared Nerve Simulation Generator
+// Generative sim mode: continuously evolving, plausible data for screens
+// left running all day without a live engine.
+//
+//   - A hidden Markov chain picks the underlying regime, each with its own
+//     level and volatility, and switches every few minutes on average
+//   - A common factor mean-reverts toward that regime's level; each domain
+//     adds its own mean-reverting offset driven by shocks correlated with
+//     the other domains (rho), so domains move together but not in lockstep
+//   - The regime label shown uses hysteresis bands, so it doesn't flicker
+//     when the edge score hovers on a boundary
+//   - Momentum is the edge score's change over the last momentumWindow steps
+//
+// Everything is drawn from a seeded PRNG and stepped in fixed one-second
+// steps, so the same seed always produces the same sequence.
+// Switched on from the page with ?sim=generative&seed=42
+
+const NERVE_GENERATOR_REGIMES = {
+  CALM:     { level: 0.15, vol: 0.010, next: { CALM: 0.9975, ELEVATED: 0.0025 } },
+  ELEVATED: { level: 0.38, vol: 0.014, next: { CALM: 0.0025, ELEVATED: 0.9945, STRESSED: 0.003 } },
+  STRESSED: { level: 0.62, vol: 0.018, next: { ELEVATED: 0.004, STRESSED: 0.993, CRITICAL: 0.003 } },
+  CRITICAL: { level: 0.85, vol: 0.022, next: { STRESSED: 0.008, CRITICAL: 0.992 } }
+};
+
+class NerveSimGenerator {
+  constructor(domainNames, options = {}) {
+    this.seed = NerveSimGenerator.toSeed(options.seed !== undefined ? options.seed : Date.now());
+    this.random = NerveSimGenerator.mulberry32(this.seed);
+    this.rho = options.correlation !== undefined ? options.correlation : 0.6;
+    this.reversion = options.reversion || 0.04; // per step pull toward the regime level
+    this.hysteresis = options.hysteresis || 0.04; // edge margin past a band edge before the label moves
+    this.momentumWindow = options.momentumWindow || 10;
+    this.stepSeconds = 1;
+
+    this.hiddenRegime = 'CALM';
+    this.regime = 'CALM';
+    this.common = NERVE_GENERATOR_REGIMES.CALM.level;
+    this.domains = {};
+    this.edgeHistory = [];
+    this.edge = this.common;
+    this.setDomains(domainNames);
+  }
+
+  // Seeds may be numbers or any string (hashed)
+  static toSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) return seed >>> 0;
+    let hash = 2166136261;
+    const str = String(seed);
+    for (let i = 0; i < str.length; i++) {
+      hash = Math.imul(hash ^ str.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  static mulberry32(a) {
+    return function() {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal via Box-Muller
+  gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // Each domain gets a lasting bias of its own, drawn from the seed
+  setDomains(names) {
+    const domains = {};
+    for (let d of names) {
+      domains[d] = this.domains[d] || {
+        bias: (this.random() - 0.5) * 0.2,
+        offset: 0,
+        vol: 0.8 + this.random() * 0.6
+      };
+    }
+    this.domains = domains;
+  }
+
+  step() {
+    // Hidden regime: one Markov transition per step
+    const transitions = NERVE_GENERATOR_REGIMES[this.hiddenRegime].next;
+    let roll = this.random();
+    for (let r in transitions) {
+      roll -= transitions[r];
+      if (roll < 0) {
+        this.hiddenRegime = r;
+        break;
+      }
+    }
+
+    const params = NERVE_GENERATOR_REGIMES[this.hiddenRegime];
+    const shared = this.gaussian();
+    this.common += this.reversion * (params.level - this.common) + params.vol * shared;
+    this.common = Math.min(Math.max(this.common, 0.02), 0.98);
+
+    // Domain shocks share the common shock with weight rho
+    let sum = 0;
+    let peak = 0;
+    for (let d in this.domains) {
+      const dom = this.domains[d];
+      const shock = this.rho * shared + Math.sqrt(1 - this.rho * this.rho) * this.gaussian();
+      dom.offset += this.reversion * (dom.bias - dom.offset) + params.vol * dom.vol * shock;
+      dom.score = Math.min(Math.max(this.common + dom.offset, 0.005), 0.995);
+      sum += dom.score;
+      peak = Math.max(peak, dom.score);
+    }
+
+    const count = Object.keys(this.domains).length;
+    const mean = count ? sum / count : this.common;
+    this.edge = Math.min(Math.max(0.7 * mean + 0.3 * (count ? peak : mean), 0), 1);
+
+    // Fragility: high when domains are elevated and bunched together
+    let spread = 0;
+    for (let d in this.domains) {
+      spread += Math.pow(this.domains[d].score - mean, 2);
+    }
+    spread = count ? Math.sqrt(spread / count) : 0;
+    this.fragility = Math.min(Math.max(this.edge * (1.2 - spread * 3), 0), 1);
+
+    this.edgeHistory.push(this.edge);
+    if (this.edgeHistory.length > this.momentumWindow + 1) this.edgeHistory.shift();
+    this.momentum = this.edge - this.edgeHistory[0];
+
+    this.updateRegimeLabel();
+  }
+
+  // Move the label one band (NERVE_REGIMES) at a time, and only once the
+  // edge is clearly past the boundary
+  updateRegimeLabel() {
+    let idx = NERVE_REGIMES.findIndex(b => b.name === this.regime);
+    while (idx < NERVE_REGIMES.length - 1 && this.edge >= NERVE_REGIMES[idx + 1].from + this.hysteresis) {
+      idx++;
+    }
+    while (idx > 0 && this.edge < NERVE_REGIMES[idx].from - this.hysteresis) {
+      idx--;
+    }
+    this.regime = NERVE_REGIMES[idx].name;
+  }
+
+  // Engine-shaped payload for the current step, ready for NerveData.applySimFrame()
+  frame() {
+    const domainScores = {};
+    for (let d in this.domains) {
+      domainScores[d] = { score: this.domains[d].score !== undefined ? this.domains[d].score : this.common };
+    }
+    return {
+      edge_score: this.edge,
+      regime: this.regime,
+      fragility_ratio: this.fragility || 0,
+      momentum: this.momentum || 0,
+      domain_scores: domainScores,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Also loadable from Node (mock-server/server.js), where the regime list
+// comes from nerve-data.js rather than an earlier script tag
+if (typeof module !== 'undefined' && module.exports) {
+  if (typeof NERVE_REGIMES === 'undefined') global.NERVE_REGIMES = require('./nerve-data.js').NERVE_REGIMES;
+  module.exports = { NerveSimGenerator, NERVE_GENERATOR_REGIMES };
+}
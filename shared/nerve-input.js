@@ -0,0 +1,243 @@
+// Shared Nerve Input
+// One set of controls for the page, however many sketches it runs
+// (new NerveInput(nerve, { sketches: [sketch, ...] })):
+//   CLICK / TAP        next sim level
+//   1–8                jump to that sim level
+//   → ↑ / ← ↓          next / previous sim level
+//   SPACE              live/sim toggle
+//   T                  next theme
+//   R                  reduced motion on/off
+//   M                  sound on/off (when a sketch has sound)
+//   P                  pause / resume
+//   S                  snapshot of each canvas (PNG / SVG, nerve-snapshot.js)
+//   F                  fullscreen
+//   H or ?             this list on screen (Esc closes)
+// and on touch screens
+//   swipe left/right   next / previous sim level
+//   swipe down         live/sim toggle
+//   long-press         help
+// Mouse drags and long clicks count as swipes and long-presses too.
+//
+// A page adds its own keys with input.bind('x', 'X', 'What it does', fn);
+// they show up in the help list.
+
+const NERVE_SWIPE_DISTANCE = 60; // px before a drag counts as a swipe
+const NERVE_LONG_PRESS = 600; // ms held still before it counts as a long-press
+const NERVE_LONG_PRESS_SLOP = 10; // px a long-press may drift before it's a drag
+
+class NerveInput {
+  constructor(nerve, options = {}) {
+    this.nerve = nerve;
+    this.sketches = options.sketches || []; // p5 instances from the sketch factories
+    this.paused = false;
+    this.bindings = [];
+    this.gesture = null;
+
+    const levels = nerve.simLevels.length;
+    this.bind(' ', 'SPACE', 'Live / sim toggle', () => nerve.toggleSimMode());
+    this.bind('ArrowRight', '→ ↑', 'Next sim level', () => nerve.nextSimLevel(), ['ArrowUp']);
+    this.bind('ArrowLeft', '← ↓', 'Previous sim level', () => nerve.prevSimLevel(), ['ArrowDown']);
+    for (let i = 1; i <= Math.min(levels, 9); i++) {
+      this.bind(String(i), null, null, () => nerve.setSimLevel(i - 1));
+    }
+    this.describe(`1–${Math.min(levels, 9)}`, 'Jump to sim level');
+    this.bind('t', 'T', 'Next theme', () => nerve.nextTheme());
+    this.bind('r', 'R', 'Reduced motion on/off', () => nerve.toggleReducedMotion());
+    const audible = this.sketches.filter(sketch => sketch.audio);
+    if (audible.length) {
+      this.bind('m', 'M', 'Sound on/off', () => audible.forEach(sketch => sketch.audio.toggleMute()));
+    }
+    this.bind('p', 'P', 'Pause / resume', () => this.togglePause());
+    this.bind('s', 'S', 'Snapshot', () => this.snapshot());
+    this.bind('f', 'F', 'Fullscreen', () => this.toggleFullscreen());
+    this.bind('h', 'H', 'This help', () => this.toggleHelp(), ['?']);
+
+    if (typeof document === 'undefined') return;
+    document.addEventListener('keydown', e => this.onKey(e));
+    document.addEventListener('pointerdown', e => this.onPointerDown(e));
+    document.addEventListener('pointermove', e => this.onPointerMove(e));
+    document.addEventListener('pointerup', e => this.onPointerUp(e));
+    document.addEventListener('pointercancel', () => this.cancelGesture());
+    this.addHelp();
+    this.addPauseBadge();
+    this.snapshots = typeof NerveSnapshot !== 'undefined' ? new NerveSnapshot(nerve, this.sketches) : null;
+  }
+
+  // key: KeyboardEvent.key (letters either case). label/text: the help
+  // list row; leave them out for keys covered by another row
+  bind(key, label, text, handler, aliases = []) {
+    this.bindings.push({ keys: [key, ...aliases].map(k => k.toLowerCase()), label, text, handler });
+    if (this.helpList) this.renderHelp();
+  }
+
+  // A help row with no key of its own (ranges, gestures)
+  describe(label, text) {
+    this.bindings.push({ keys: [], label, text, handler: null });
+    if (this.helpList) this.renderHelp();
+  }
+
+  onKey(e) {
+    // Leave browser shortcuts and form fields alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target && /^(INPUT|SELECT|TEXTAREA|BUTTON)$/.test(e.target.tagName)) return;
+    if (e.key === 'Escape' && this.helpOpen) {
+      this.toggleHelp();
+      return;
+    }
+    const binding = this.bindings.find(b => b.keys.includes(e.key.toLowerCase()));
+    if (!binding) return;
+    e.preventDefault();
+    binding.handler();
+  }
+
+  // Gestures start on the canvas only, so overlay controls keep their clicks.
+  // The path rather than the target, which is retargeted to the host
+  // element when the canvas sits in a shadow root (<nerve-visual>)
+  onPointerDown(e) {
+    // Primary button only: right clicks open the context menu, middle scrolls
+    if (e.button !== 0) return;
+    const path = e.composedPath ? e.composedPath() : [e.target];
+    if (!path[0] || path[0].tagName !== 'CANVAS') return;
+    if (this.helpOpen) {
+      this.toggleHelp();
+      return;
+    }
+    this.gesture = { x: e.clientX, y: e.clientY, longPressed: false };
+    this.gesture.timer = setTimeout(() => {
+      this.gesture.longPressed = true;
+      this.toggleHelp();
+    }, NERVE_LONG_PRESS);
+  }
+
+  // A drag under way is a swipe in the making, not a long-press
+  onPointerMove(e) {
+    const gesture = this.gesture;
+    if (!gesture || gesture.longPressed) return;
+    const moved = Math.hypot(e.clientX - gesture.x, e.clientY - gesture.y);
+    if (moved > NERVE_LONG_PRESS_SLOP) clearTimeout(gesture.timer);
+  }
+
+  onPointerUp(e) {
+    const gesture = this.gesture;
+    if (!gesture) return;
+    this.cancelGesture();
+    if (gesture.longPressed) return;
+
+    const dx = e.clientX - gesture.x;
+    const dy = e.clientY - gesture.y;
+    if (Math.max(Math.abs(dx), Math.abs(dy)) < NERVE_SWIPE_DISTANCE) {
+      this.nerve.nextSimLevel();
+    } else if (Math.abs(dx) > Math.abs(dy)) {
+      if (dx < 0) this.nerve.nextSimLevel();
+      else this.nerve.prevSimLevel();
+    } else if (dy > 0) {
+      this.nerve.toggleSimMode();
+    }
+  }
+
+  cancelGesture() {
+    if (!this.gesture) return;
+    clearTimeout(this.gesture.timer);
+    this.gesture = null;
+  }
+
+  togglePause() {
+    this.paused = !this.paused;
+    for (const sketch of this.sketches) {
+      if (this.paused) sketch.noLoop();
+      else sketch.loop();
+    }
+    this.pauseBadge.style.display = this.paused ? 'block' : 'none';
+  }
+
+  // The export panel when nerve-snapshot.js is loaded, else a plain PNG each
+  snapshot() {
+    if (this.snapshots) {
+      this.snapshots.toggle();
+      return;
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    for (const sketch of this.sketches) {
+      sketch.saveCanvas(`nerve-${sketch.nerveName || 'sketch'}-${stamp}`, 'png');
+    }
+  }
+
+  // The whole page rather than one canvas, so overlays and any other
+  // sketches come along
+  // Browsers refuse fullscreen in iframes without allowfullscreen, and some
+  // (iPhone Safari) don't offer it at all
+  toggleFullscreen() {
+    const root = document.documentElement;
+    if (!document.fullscreenElement && !root.requestFullscreen) {
+      console.warn('Fullscreen is not supported here');
+      return;
+    }
+    const change = document.fullscreenElement ? document.exitFullscreen() : root.requestFullscreen();
+    if (change) change.catch(e => console.warn('Fullscreen failed:', e.message));
+  }
+
+  addPauseBadge() {
+    this.pauseBadge = document.createElement('div');
+    this.pauseBadge.id = 'pause-badge';
+    this.pauseBadge.textContent = 'PAUSED · P TO RESUME';
+    this.pauseBadge.style.cssText = [
+      'position: fixed', 'left: 50%', 'top: 20px', 'transform: translateX(-50%)', 'z-index: 20',
+      'display: none', 'pointer-events: none',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.5)', 'font: 10px "Courier New", monospace',
+      'letter-spacing: 3px'
+    ].join(';');
+    document.body.appendChild(this.pauseBadge);
+  }
+
+  addHelp() {
+    this.helpOpen = false;
+    this.help = document.createElement('div');
+    this.help.id = 'help-overlay';
+    this.help.setAttribute('role', 'dialog');
+    this.help.setAttribute('aria-label', 'Controls');
+    this.help.style.cssText = [
+      'position: fixed', 'left: 50%', 'top: 50%', 'transform: translate(-50%, -50%)', 'z-index: 30',
+      'display: none', 'padding: 18px 22px', 'min-width: 280px',
+      'background: rgba(var(--nerve-paper, 0, 0, 0), 0.85)', 'border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.15)',
+      'font: 11px "Courier New", monospace', 'letter-spacing: 1px',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.7)', 'text-transform: uppercase'
+    ].join(';');
+    this.helpList = document.createElement('div');
+    const gestures = document.createElement('div');
+    gestures.style.cssText = 'margin-top: 10px; padding-top: 10px; border-top: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.1)';
+    gestures.append(
+      this.helpRow('Click / tap', 'Next sim level'),
+      this.helpRow('Swipe ← / →', 'Next / previous level'),
+      this.helpRow('Swipe down', 'Live / sim toggle'),
+      this.helpRow('Long-press', 'This help')
+    );
+    this.help.append(this.helpList, gestures);
+    this.help.addEventListener('click', () => this.toggleHelp());
+    document.body.appendChild(this.help);
+    this.renderHelp();
+  }
+
+  renderHelp() {
+    this.helpList.textContent = '';
+    for (const b of this.bindings) {
+      if (b.label) this.helpList.appendChild(this.helpRow(b.label, b.text));
+    }
+  }
+
+  helpRow(label, text) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; gap: 16px; margin: 4px 0';
+    const key = document.createElement('span');
+    key.textContent = label;
+    key.style.cssText = 'flex: 0 0 110px; color: rgba(var(--nerve-ink, 255, 255, 255), 1)';
+    const what = document.createElement('span');
+    what.textContent = text;
+    row.append(key, what);
+    return row;
+  }
+
+  toggleHelp() {
+    this.helpOpen = !this.helpOpen;
+    this.help.style.display = this.helpOpen ? 'block' : 'none';
+  }
+}
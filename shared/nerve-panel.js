@@ -0,0 +1,176 @@
+// Shared Nerve Override Panel
+// Sliders for every value a sketch draws from — edge score, fragility,
+// momentum, regime and each domain score — applied through
+// NerveData.applyOverride(), for exploring states the sim presets never show
+// ("only Climate is critical"). Each move is a simFrame with origin
+// 'override', so a session recording keeps it. Moving any control switches
+// to manual sim so live data doesn't overwrite it; clicking the sketch still
+// steps through the presets.
+//
+// The OVERRIDES button appears bottom-right while in sim mode.
+// Turn it off with window.NERVE_CONFIG = { panel: false }.
+
+class NervePanel {
+  constructor(nerve) {
+    this.nerve = nerve;
+    this.open = false;
+    this.rows = {};
+
+    this.toggle = document.createElement('button');
+    this.toggle.id = 'override-toggle';
+    this.toggle.textContent = 'OVERRIDES';
+    this.toggle.style.cssText = [
+      'position: fixed', 'right: 20px', 'bottom: 20px', 'z-index: 20',
+      'background: none', 'border: none', 'cursor: pointer', 'display: none',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.4)', 'font: 10px "Courier New", monospace',
+      'letter-spacing: 3px'
+    ].join(';');
+    this.toggle.addEventListener('click', () => this.setOpen(!this.open));
+
+    this.el = document.createElement('div');
+    this.el.id = 'override-panel';
+    this.el.style.cssText = [
+      'position: fixed', 'right: 20px', 'bottom: 44px', 'z-index: 20',
+      'display: none', 'width: 260px', 'padding: 12px 14px',
+      'background: rgba(var(--nerve-paper, 0, 0, 0), 0.6)', 'border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.15)',
+      'font: 10px "Courier New", monospace', 'letter-spacing: 1px',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.6)', 'text-transform: uppercase'
+    ].join(';');
+
+    this.globals = document.createElement('div');
+    this.domainRows = document.createElement('div');
+    this.domainRows.style.cssText = 'margin-top: 8px; padding-top: 8px; border-top: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.1)';
+    this.el.append(this.globals, this.domainRows);
+
+    this.addSlider(this.globals, 'edge', 'Edge', 0, 1, 0.01, v => nerve.applyOverride({ edge_score: v }));
+    this.addSlider(this.globals, 'fragility', 'Fragility', 0, 1, 0.01, v => nerve.applyOverride({ fragility_ratio: v }));
+    this.addSlider(this.globals, 'momentum', 'Momentum', -nerve.momentumScale * 2, nerve.momentumScale * 2, 0.005, v => nerve.applyOverride({ momentum: v }));
+    this.addRegimeSelect();
+    this.buildDomainRows();
+
+    // Keep clicks and keys on the panel from reaching the sketch's handlers
+    for (const el of [this.el, this.toggle]) {
+      for (const type of ['mousedown', 'mouseup', 'click', 'touchstart', 'keydown']) {
+        el.addEventListener(type, e => e.stopPropagation());
+      }
+    }
+    document.body.append(this.el, this.toggle);
+
+    nerve.on('domainsChange', () => this.buildDomainRows());
+    nerve.on('themeChange', () => this.buildDomainRows());
+    nerve.on('sourceStatusChange', status => this.showToggle(status.simMode));
+    this.showToggle(nerve.simMode);
+  }
+
+  // Build the panel unless the page turned it off
+  static attach(nerve, config) {
+    if (config.panel === false || typeof document === 'undefined') return null;
+    return new NervePanel(nerve);
+  }
+
+  addSlider(parent, key, label, min, max, step, write) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 4px 0';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+    name.style.cssText = 'flex: 0 0 90px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap';
+
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = min;
+    input.max = max;
+    input.step = step;
+    input.style.cssText = 'flex: 1; min-width: 0';
+
+    const value = document.createElement('span');
+    value.style.cssText = 'flex: 0 0 40px; text-align: right';
+
+    input.addEventListener('input', () => {
+      write(Number(input.value));
+      value.textContent = Number(input.value).toFixed(2);
+    });
+
+    row.append(name, input, value);
+    parent.appendChild(row);
+    this.rows[key] = { row, input, value };
+  }
+
+  addRegimeSelect() {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 4px 0';
+
+    const name = document.createElement('span');
+    name.textContent = 'Regime';
+    name.style.cssText = 'flex: 0 0 90px';
+
+    const select = document.createElement('select');
+    select.style.cssText = 'flex: 1; background: transparent; color: inherit; font: inherit; border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.2)';
+    for (const regime of NERVE_REGIME_ORDER) {
+      const option = document.createElement('option');
+      option.value = regime;
+      option.textContent = regime;
+      option.style.background = 'rgb(var(--nerve-paper, 0, 0, 0))';
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => this.nerve.applyOverride({ regime: select.value }));
+
+    row.append(name, select);
+    this.globals.appendChild(row);
+    this.regimeSelect = select;
+  }
+
+  // One slider per domain the data currently has
+  buildDomainRows() {
+    for (const key in this.rows) {
+      if (key.startsWith('domain:')) delete this.rows[key];
+    }
+    this.domainRows.textContent = '';
+    for (const d of this.nerve.getDomainNames()) {
+      this.addSlider(this.domainRows, `domain:${d}`, d, 0, 1, 0.01, v => this.nerve.applyOverride({ domain_scores: { [d]: { score: v } } }));
+      const c = this.nerve.getDomainColor(d);
+      this.rows[`domain:${d}`].row.firstChild.style.color = `rgb(${c[0]},${c[1]},${c[2]})`;
+    }
+    this.refresh();
+  }
+
+  showToggle(visible) {
+    this.toggle.style.display = visible ? 'block' : 'none';
+    if (!visible) this.setOpen(false);
+  }
+
+  setOpen(open) {
+    this.open = open;
+    this.el.style.display = open ? 'block' : 'none';
+    this.toggle.textContent = open ? 'OVERRIDES ×' : 'OVERRIDES';
+    if (open) this.refresh();
+  }
+
+  // Follow the targets (presets, scenarios) while nobody is dragging
+  refresh() {
+    if (!this.open) return;
+    const nerve = this.nerve;
+    const values = {
+      edge: nerve.targetEdge,
+      fragility: nerve.fragility,
+      momentum: nerve.momentum
+    };
+    for (const d in nerve.targetDomains) {
+      values[`domain:${d}`] = nerve.targetDomains[d].score;
+    }
+    for (const key in this.rows) {
+      const { input, value } = this.rows[key];
+      if (document.activeElement === input || values[key] === undefined) continue;
+      input.value = values[key];
+      value.textContent = Number(values[key]).toFixed(2);
+    }
+    if (document.activeElement !== this.regimeSelect) {
+      this.regimeSelect.value = nerve.regime;
+    }
+  }
+
+  remove() {
+    this.el.remove();
+    this.toggle.remove();
+  }
+}
@@ -0,0 +1,298 @@
+// Shared Nerve Session Recorder
+// Captures what a sketch was fed during a session as NDJSON, one event per line:
+//   {"type":"session","version":1,"startedAt":"…","source":"http","page":"/pulse/"}
+//   {"type":"state","t":0,…}                          starting targets and mode
+//   {"type":"payload","t":61234,"applied":true,"data":{…}}   every payload from the source
+//   {"type":"frame","t":…,"origin":"scenario","data":{…}}   scenario, generator and
+//                                                      timeline frames, frameInterval ms apart,
+//                                                      and every override from the panel
+//   {"type":"simLevel","t":…,"level":3}
+//   {"type":"mode","t":…,"simMode":true,"simReason":"fallback"}
+// t is ms since recording started. NerveSessionPlayer feeds the same events
+// back into a NerveData at the same offsets, for post-incident reviews and
+// reproducing what a kiosk screen showed.
+//
+// A recording keeps its latest maxEntries events (default 50000, a few hours
+// of frames): a state line is written every so often, and the oldest events
+// are dropped back to one of those so what's left still plays from a known
+// state.
+//
+// Switched on from the page: ?record to record (SAVE button, or
+// nerve.recorder.download()), ?playback=session.ndjson to replay one,
+// or drop an .ndjson file onto any sketch.
+
+class NerveRecorder {
+  constructor(nerve, options = {}) {
+    this.nerve = nerve;
+    this.startedAt = Date.now();
+    this.entries = [];
+    this.recording = true;
+    this.lastMode = { simMode: nerve.simMode, simReason: nerve.simReason };
+    this.maxEntries = options.maxEntries || 50000;
+    this.checkpointEvery = Math.max(1, Math.min(1000, Math.floor(this.maxEntries / 10)));
+    this.sinceCheckpoint = 0;
+    // Scenarios and timelines make a frame every animation frame; NerveData
+    // eases between targets anyway, so a few a second play back the same
+    this.frameInterval = options.frameInterval !== undefined ? options.frameInterval : 250;
+    this.lastFrameAt = -Infinity;
+
+    this.entries.push({
+      type: 'session',
+      version: 1,
+      startedAt: new Date(this.startedAt).toISOString(),
+      source: nerve.source.type,
+      page: typeof location !== 'undefined' ? location.pathname : null
+    });
+    this.record('state', NerveRecorder.snapshot(nerve));
+
+    nerve.on('dataReceived', ({ data, applied }) => this.record('payload', { data, applied }));
+    nerve.on('simFrame', ({ data, origin }) => {
+      const now = Date.now();
+      // Overrides are someone's hand on a slider: skipping one could lose where it stopped
+      if (origin !== 'override') {
+        if (now - this.lastFrameAt < this.frameInterval) return;
+        this.lastFrameAt = now;
+      }
+      this.record('frame', { origin, data });
+    });
+    nerve.on('simLevelChange', ({ level }) => this.record('simLevel', { level }));
+    nerve.on('sourceStatusChange', ({ simMode, simReason }) => {
+      if (simMode === this.lastMode.simMode && simReason === this.lastMode.simReason) return;
+      this.lastMode = { simMode, simReason };
+      this.record('mode', { simMode, simReason });
+    });
+
+    if (options.button !== false && typeof document !== 'undefined') {
+      this.addButton();
+    }
+  }
+
+  // Wire recording / playback up from page config
+  static attach(nerve, config) {
+    if (config.record) {
+      nerve.recorder = new NerveRecorder(nerve, typeof config.record === 'object' ? config.record : {});
+    }
+    if (config.playback) {
+      NerveSessionPlayer.load(nerve, config.playback);
+    }
+    if (typeof document !== 'undefined') {
+      NerveSessionPlayer.acceptDrops(nerve);
+    }
+  }
+
+  static snapshot(nerve) {
+    const domains = {};
+    for (let d in nerve.targetDomains) {
+      domains[d] = nerve.targetDomains[d].score;
+    }
+    return {
+      edge: nerve.targetEdge,
+      fragility: nerve.fragility,
+      momentum: nerve.momentum,
+      regime: nerve.regime,
+      domains,
+      simMode: nerve.simMode,
+      simReason: nerve.simReason,
+      simLevel: nerve.simLevel,
+      lastUpdate: nerve.lastUpdate
+    };
+  }
+
+  record(type, fields) {
+    if (!this.recording) return;
+    this.entries.push({ type, t: Date.now() - this.startedAt, ...fields });
+    if (type === 'state') {
+      this.sinceCheckpoint = 0;
+    } else if (++this.sinceCheckpoint >= this.checkpointEvery) {
+      this.record('state', NerveRecorder.snapshot(this.nerve));
+    }
+    if (this.entries.length > this.maxEntries) this.trim();
+  }
+
+  // Drop the oldest events up to the first state line that brings the
+  // recording back under maxEntries; the session line stays first
+  trim() {
+    const excess = this.entries.length - this.maxEntries;
+    const cut = this.entries.findIndex((e, i) => i > excess && e.type === 'state');
+    if (cut > 1) this.entries.splice(1, cut - 1);
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  toNDJSON() {
+    return this.entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+  }
+
+  download(filename) {
+    const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, '-');
+    const blob = new Blob([this.toNDJSON()], { type: 'application/x-ndjson' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename || `nerve-session-${stamp}.ndjson`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  addButton() {
+    const button = document.createElement('button');
+    button.id = 'record-badge';
+    button.textContent = '● REC · SAVE';
+    button.title = 'Download this session as NDJSON';
+    button.style.cssText = [
+      'position: fixed', 'top: 20px', 'left: 20px', 'z-index: 20',
+      'background: none', 'border: none', 'cursor: pointer',
+      'color: rgba(255,80,60,0.6)', 'font: 10px "Courier New", monospace',
+      'letter-spacing: 3px'
+    ].join(';');
+    button.addEventListener('mousedown', e => e.stopPropagation());
+    button.addEventListener('click', e => {
+      e.stopPropagation();
+      this.download();
+    });
+    document.body.appendChild(button);
+  }
+}
+
+class NerveSessionPlayer {
+  constructor(nerve, entries) {
+    this.nerve = nerve;
+    this.entries = entries.filter(e => typeof e.t === 'number').sort((a, b) => a.t - b.t);
+    this.index = 0;
+    this.startAt = 0;
+    this.finished = false;
+    this.latestPayload = null;
+    this.recordedMode = null;
+    // A trimmed recording starts late; play it from its first event
+    this.origin = this.entries.length ? this.entries[0].t : 0;
+    this.duration = this.entries.length ? this.entries[this.entries.length - 1].t - this.origin : 0;
+  }
+
+  static parse(text) {
+    const entries = [];
+    const lines = text.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+      try {
+        entries.push(JSON.parse(lines[i]));
+      } catch (e) {
+        throw new Error(`Session line ${i + 1}: ${e.message}`);
+      }
+    }
+    if (!entries.length || entries[0].type !== 'session') {
+      throw new Error('Not a Nerve session recording');
+    }
+    return entries;
+  }
+
+  static async load(nerve, url) {
+    try {
+      const resp = await fetch(url);
+      if (!resp.ok) {
+        throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+      }
+      return NerveSessionPlayer.fromText(nerve, await resp.text()).play();
+    } catch (e) {
+      console.warn('Nerve session playback failed:', e.message);
+      return null;
+    }
+  }
+
+  static fromText(nerve, text) {
+    return new NerveSessionPlayer(nerve, NerveSessionPlayer.parse(text));
+  }
+
+  static acceptDrops(nerve) {
+    const onDragOver = e => e.preventDefault();
+    const onDrop = async e => {
+      const file = e.dataTransfer.files[0];
+      if (!file || !/\.(nd)?json$/i.test(file.name)) return;
+      e.preventDefault();
+      try {
+        NerveSessionPlayer.fromText(nerve, await file.text()).play();
+        console.log(`Playing back session ${file.name}`);
+      } catch (err) {
+        console.warn('Nerve session playback failed:', err.message);
+      }
+    };
+    document.addEventListener('dragover', onDragOver);
+    document.addEventListener('drop', onDrop);
+    nerve.teardown.push(() => {
+      document.removeEventListener('dragover', onDragOver);
+      document.removeEventListener('drop', onDrop);
+    });
+  }
+
+  play() {
+    if (this.nerve.timeline) this.nerve.timeline.pause();
+    this.nerve.startReplay();
+    this.nerve.playback = this;
+    this.index = 0;
+    this.finished = false;
+    this.latestPayload = null;
+    this.startAt = nerveMillis();
+    this.update();
+    return this;
+  }
+
+  // Hand the data back to live/sim
+  stop() {
+    if (this.nerve.playback === this) this.nerve.playback = null;
+    this.nerve.stopReplay();
+  }
+
+  update() {
+    // Something else (SPACE, a click, the timeline) took the data back
+    if (this.nerve.simReason !== 'replay') {
+      if (this.nerve.playback === this) this.nerve.playback = null;
+      return;
+    }
+
+    const elapsed = nerveMillis() - this.startAt;
+    while (this.index < this.entries.length && this.entries[this.index].t - this.origin <= elapsed) {
+      this.apply(this.entries[this.index]);
+      this.index++;
+    }
+
+    // Hold the final frame on screen once everything has played
+    if (!this.finished && this.index >= this.entries.length) {
+      this.finished = true;
+      console.log('Nerve session playback finished');
+    }
+  }
+
+  apply(entry) {
+    const nerve = this.nerve;
+    switch (entry.type) {
+      case 'state':
+        nerve.targetEdge = entry.edge;
+        nerve.fragility = entry.fragility;
+        nerve.momentum = entry.momentum;
+        nerve.setRegime(entry.regime);
+        nerve.lastUpdate = entry.lastUpdate;
+        nerve.setDomains(Object.keys(entry.domains));
+        for (let d in entry.domains) {
+          nerve.targetDomains[d] = { score: entry.domains[d] };
+        }
+        this.recordedMode = { simMode: entry.simMode, simReason: entry.simReason };
+        break;
+      case 'payload':
+        this.latestPayload = entry.data;
+        if (entry.applied) nerve.applyLiveData(entry.data);
+        break;
+      case 'frame':
+        nerve.applyPayload(entry.data);
+        nerve.simFrameTime = entry.data.timestamp;
+        break;
+      case 'simLevel':
+        nerve.applySimLevel(entry.level);
+        break;
+      case 'mode':
+        // Going live shows the latest payload, exactly as NerveData.goLive() did
+        if (!entry.simMode && this.latestPayload) nerve.applyLiveData(this.latestPayload);
+        this.recordedMode = { simMode: entry.simMode, simReason: entry.simReason };
+        break;
+    }
+  }
+}
@@ -0,0 +1,154 @@
+// Shared Nerve Scenarios
+// A scenario is a scripted narrative: timed keyframes that NerveData eases
+// between, so a demo like "supply-chain shock cascading into markets over
+// 90 seconds" plays out the same way every time.
+//
+// Format (JSON):
+//   {
+//     "name": "Supply-chain shock",
+//     "loop": false,
+//     "keyframes": [
+//       { "t": 0,  "edge": 0.12, "fragility": 0.1, "regime": "CALM",
+//         "domains": { "Supply Chain": 0.15, "Markets": 0.08 } },
+//       { "t": 25, "edge": 0.45, "ease": "easeInCubic", "domains": { "Supply Chain": 0.7 } }
+//     ]
+//   }
+// t is seconds from the start. Each keyframe's "ease" shapes the segment
+// leading into it (default easeInOutSine). Values a keyframe leaves out carry
+// over from the one before; a missing regime is taken from the edge score and
+// a missing momentum from the slope of the edge curve. Momentum eases between
+// keyframes like the other values.
+
+const NERVE_EASINGS = {
+  linear: t => t,
+  step: t => (t < 1 ? 0 : 1),
+  easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+  easeOutSine: t => Math.sin(t * Math.PI / 2),
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutElastic: t => {
+    if (t === 0 || t === 1) return t;
+    return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+  }
+};
+
+class NerveScenario {
+  constructor(spec) {
+    if (!spec || !Array.isArray(spec.keyframes) || spec.keyframes.length === 0) {
+      throw new Error('Scenario needs at least one keyframe');
+    }
+    this.name = spec.name || 'Untitled scenario';
+    this.loop = !!spec.loop;
+    this.momentumWindow = spec.momentumWindow || 5; // seconds of edge slope read as momentum
+    this.keyframes = this.resolve(spec.keyframes);
+    this.duration = spec.duration || this.keyframes[this.keyframes.length - 1].t;
+  }
+
+  static async load(url) {
+    const resp = await fetch(url);
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    }
+    return new NerveScenario(await resp.json());
+  }
+
+  // Validate, sort and fill in carried-over values so every keyframe is complete
+  resolve(raw) {
+    const sorted = raw.map((k, i) => {
+      if (typeof k.t !== 'number' || k.t < 0) {
+        throw new Error(`Scenario keyframe ${i}: needs a time "t" in seconds`);
+      }
+      if (k.ease && !NERVE_EASINGS[k.ease]) {
+        throw new Error(`Scenario keyframe ${i}: unknown ease "${k.ease}"`);
+      }
+      return k;
+    }).sort((a, b) => a.t - b.t);
+
+    let prev = { edge: 0.1, fragility: 0, momentum: null, regime: null, domains: {} };
+    return sorted.map(k => {
+      const frame = {
+        t: k.t,
+        ease: k.ease || 'easeInOutSine',
+        edge: k.edge !== undefined ? k.edge : prev.edge,
+        fragility: k.fragility !== undefined ? k.fragility : prev.fragility,
+        momentum: k.momentum !== undefined ? k.momentum : null,
+        regime: k.regime || null,
+        domains: { ...prev.domains, ...k.domains }
+      };
+      prev = frame;
+      return frame;
+    });
+  }
+
+  // Index of the keyframe a segment ends on, for time t
+  segmentAt(t) {
+    const i = this.keyframes.findIndex(k => k.t > t);
+    return i === -1 ? this.keyframes.length : i;
+  }
+
+  edgeAt(t) {
+    return this.valueAt(t, k => k.edge);
+  }
+
+  // Eased between keyframes like edge; a keyframe without a momentum stands
+  // in with the slope of the edge curve at its time
+  momentumAt(t) {
+    const i = this.segmentAt(t);
+    const ends = [this.keyframes[Math.max(0, i - 1)], this.keyframes[Math.min(i, this.keyframes.length - 1)]];
+    if (ends.every(k => k.momentum === null)) return this.slopeAt(t);
+    return this.valueAt(t, k => (k.momentum !== null ? k.momentum : this.slopeAt(k.t)));
+  }
+
+  slopeAt(t) {
+    return this.edgeAt(t + this.momentumWindow) - this.edgeAt(t);
+  }
+
+  valueAt(t, pick) {
+    const i = this.segmentAt(t);
+    if (i === 0) return pick(this.keyframes[0]);
+    if (i === this.keyframes.length) return pick(this.keyframes[i - 1]);
+    const a = this.keyframes[i - 1];
+    const b = this.keyframes[i];
+    const eased = NERVE_EASINGS[b.ease]((t - a.t) / (b.t - a.t));
+    const from = pick(a);
+    const to = pick(b);
+    if (to === undefined) return from;
+    if (from === undefined) return to;
+    return from + (to - from) * eased;
+  }
+
+  // Engine-shaped payload at t seconds, ready for NerveData.applySimFrame()
+  frameAt(t) {
+    const i = this.segmentAt(t);
+    const current = this.keyframes[Math.max(0, i - 1)];
+    const edge = this.edgeAt(t);
+
+    const domainScores = {};
+    for (let d in current.domains) {
+      domainScores[d] = { score: this.valueAt(t, k => k.domains[d]) };
+    }
+    if (i < this.keyframes.length) {
+      for (let d in this.keyframes[i].domains) {
+        if (!domainScores[d]) domainScores[d] = { score: this.valueAt(t, k => k.domains[d]) };
+      }
+    }
+
+    return {
+      edge_score: edge,
+      regime: current.regime || nerveRegimeFor(edge),
+      fragility_ratio: this.valueAt(t, k => k.fragility),
+      momentum: this.momentumAt(t),
+      domain_scores: domainScores,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Also loadable from Node (mock-server/server.js), where the regime list
+// comes from nerve-data.js rather than an earlier script tag
+if (typeof module !== 'undefined' && module.exports) {
+  if (typeof nerveRegimeFor === 'undefined') global.nerveRegimeFor = require('./nerve-data.js').nerveRegimeFor;
+  module.exports = { NerveScenario, NERVE_EASINGS };
+}
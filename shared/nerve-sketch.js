@@ -0,0 +1,44 @@
+// Shared Nerve Sketch helpers
+// The visualizations are factories — createPulseSketch(container, nerve)
+// and friends — that run p5 in instance mode, so several can share a page
+// and one NerveData:
+//   const nerve = new NerveData();
+//   const sketch = createPulseSketch(document.getElementById('left'), nerve);
+//   new NerveInput(nerve, { sketches: [sketch] });
+// Each factory returns its p5 instance, tagged with nerveName, and adds
+// itself to NERVE_SKETCHES under its short name.
+
+const NERVE_SKETCHES = {};
+
+// Display names, for pages that show several
+const NERVE_SKETCH_TITLES = {
+  clock: 'The Midnight Clock',
+  pulse: 'The Pulse',
+  depth: 'The Depth',
+  fracture: 'The Fracture'
+};
+
+// Create a sketch's canvas at its container's size and keep it that size
+// (window resizes, grid reflows); onResize rebuilds whatever depends on it
+function createNerveCanvas(s, container, onResize) {
+  const canvas = s.createCanvas(Math.max(1, container.clientWidth), Math.max(1, container.clientHeight));
+  // Let swipes reach NerveInput instead of scrolling or zooming the page
+  canvas.elt.style.touchAction = 'none';
+  canvas.elt.style.display = 'block';
+  canvas.elt.classList.add('nerve-canvas');
+
+  const observer = new ResizeObserver(() => {
+    const w = container.clientWidth;
+    const h = container.clientHeight;
+    if (!w || !h || (w === s.width && h === s.height)) return;
+    s.resizeCanvas(w, h);
+    if (onResize) onResize();
+  });
+  observer.observe(container);
+  const remove = s.remove.bind(s);
+  s.remove = () => {
+    observer.disconnect();
+    remove();
+  };
+  return canvas;
+}
@@ -0,0 +1,694 @@
+// Shared Nerve Snapshot
+// Image export for briefing decks. S (nerve-input.js) opens a small panel
+// that saves every sketch on the page as
+//   PNG  at 1–4× its on-screen size
+//   SVG  for sketches drawn in strokes and text (sketch.svg: Clock, Pulse);
+//        gradients, shadows, blend modes and clipping are left out
+// Both are copies of the sketch's next frame: while it draws, every call on
+// its canvas is repeated on an offscreen canvas or an SVG recorder, so the
+// animation neither skips nor draws an extra frame (a paused sketch draws the
+// one frame it's exported from). Pointing p5 at that context uses p5 1.9.0
+// internals — see captureFrame() before moving the pages to another p5.
+// Each image carries a data stamp — edge score, regime, domain scores,
+// lastUpdate and whether the data was live or simulated — as an optional
+// caption band under the picture, and always as metadata: iTXt chunks in
+// the PNG, <desc> and <metadata> in the SVG.
+
+const NERVE_SNAPSHOT_SCALES = [1, 2, 3, 4];
+const NERVE_SNAPSHOT_CAPTION = 64; // caption band height in px at 1×
+
+class NerveSnapshot {
+  constructor(nerve, sketches) {
+    this.nerve = nerve;
+    this.sketches = sketches; // NerveInput's list, so pages that swap sketches in place stay current
+    this.storageKey = 'nerve:snapshot';
+    this.settings = Object.assign({ scale: 2, caption: true }, this.readSettings());
+    this.open = false;
+    this.exporting = null; // the save under way, shared by repeat clicks
+    this.capturing = Promise.resolve(); // captures queue behind each other
+    if (typeof document !== 'undefined') this.addPanel();
+  }
+
+  readSettings() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  saveSettings() {
+    if (typeof localStorage === 'undefined') return;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    } catch (e) {
+      // Blocked storage just means the choice lasts for this visit
+    }
+  }
+
+  // What the image shows, from the data rather than a frame of the animation
+  stamp(sketch) {
+    const nerve = this.nerve;
+    const domains = {};
+    for (const d of nerve.getDomainNames()) domains[d] = nerve.targetDomains[d].score;
+    return {
+      sketch: sketch.nerveName || 'sketch',
+      edgeScore: nerve.targetEdge,
+      regime: nerve.regime,
+      domains,
+      lastUpdate: nerve.lastUpdate,
+      live: !nerve.simMode,
+      simReason: nerve.simMode ? nerve.simReason : null,
+      stale: !!nerve.staleSince,
+      theme: nerve.themeName,
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  captionLines(stamp) {
+    const source = stamp.live ? 'LIVE DATA' : `SIMULATED DATA (${stamp.simReason})`;
+    const domains = Object.keys(stamp.domains).map(d => `${d} ${stamp.domains[d].toFixed(2)}`).join(' · ');
+    return [
+      `THE ${stamp.sketch.replace(/-/g, ' ').toUpperCase()} · EDGE ${stamp.edgeScore.toFixed(2)} · ${stamp.regime} · ${source}`,
+      domains,
+      `Data as of ${stamp.lastUpdate || 'n/a'}${stamp.stale ? ' (stale)' : ''} · exported ${stamp.exportedAt}`
+    ];
+  }
+
+  // One save at a time: the buttons stay disabled until it settles, and a
+  // second request while it runs gets the same promise
+  exportOnce(save) {
+    if (this.exporting) return this.exporting;
+    this.setBusy(true);
+    this.exporting = save().finally(() => {
+      this.exporting = null;
+      this.setBusy(false);
+    });
+    return this.exporting;
+  }
+
+  setBusy(busy) {
+    if (!this.el) return;
+    this.pngButton.disabled = busy;
+    this.svgButton.disabled = busy;
+  }
+
+  savePng() {
+    return this.exportOnce(() => this.writePng());
+  }
+
+  saveSvg() {
+    return this.exportOnce(() => this.writeSvg());
+  }
+
+  async writePng() {
+    const time = new Date().toISOString().replace(/[:.]/g, '-');
+    const suffix = this.settings.scale > 1 ? `@${this.settings.scale}x` : '';
+    for (const sketch of this.sketches) {
+      const blob = await this.png(sketch, this.settings.scale, this.settings.caption);
+      this.download(blob, `nerve-${sketch.nerveName || 'sketch'}-${time}${suffix}.png`);
+    }
+  }
+
+  async writeSvg() {
+    const time = new Date().toISOString().replace(/[:.]/g, '-');
+    for (const sketch of this.sketches.filter(s => s.svg)) {
+      const blob = new Blob([await this.svg(sketch, this.settings.caption)], { type: 'image/svg+xml' });
+      this.download(blob, `nerve-${sketch.nerveName || 'sketch'}-${time}.svg`);
+    }
+  }
+
+  // The next frame at scale× its CSS size, with the caption band under it
+  async png(sketch, scale, caption) {
+    const band = caption ? NERVE_SNAPSHOT_CAPTION * scale : 0;
+    const out = document.createElement('canvas');
+    out.width = Math.round(sketch.width * scale);
+    out.height = Math.round(sketch.height * scale) + band;
+    const ctx = out.getContext('2d');
+    await this.captureFrame(sketch, live => nerveTeeContext(live, ctx, scale / sketch.pixelDensity()));
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    const height = out.height - band;
+
+    const stamp = this.stamp(sketch);
+    const lines = this.captionLines(stamp);
+    if (caption) {
+      const { bg, ink } = this.captionColors();
+      ctx.fillStyle = `rgb(${bg.join(',')})`;
+      ctx.fillRect(0, height, out.width, band);
+      ctx.font = `${11 * scale}px "Courier New", monospace`;
+      ctx.textBaseline = 'top';
+      lines.forEach((line, i) => {
+        ctx.fillStyle = `rgba(${ink.join(',')}, ${i === 0 ? 0.8 : 0.5})`;
+        ctx.fillText(line, 16 * scale, height + (12 + i * 16) * scale);
+      });
+    }
+
+    const blob = await new Promise(resolve => out.toBlob(resolve, 'image/png'));
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    return new Blob([nervePngWithText(bytes, {
+      Title: `The Nerve — ${stamp.sketch}`,
+      Description: lines.join('\n'),
+      'Creation Time': stamp.exportedAt,
+      Software: 'The Nerve',
+      Comment: JSON.stringify(stamp)
+    })], { type: 'image/png' });
+  }
+
+  // The next frame as SVG, in CSS pixels
+  async svg(sketch, caption) {
+    let recorder;
+    await this.captureFrame(sketch, live => {
+      recorder = new NerveSvgContext(live, sketch.width, sketch.height);
+      return nerveTeeContext(live, recorder, 1 / sketch.pixelDensity());
+    });
+
+    const stamp = this.stamp(sketch);
+    const lines = this.captionLines(stamp);
+    const band = caption ? NERVE_SNAPSHOT_CAPTION : 0;
+    const parts = recorder.elements.slice();
+    if (caption) {
+      const { bg, ink } = this.captionColors();
+      parts.push(`<rect x="0" y="${sketch.height}" width="${sketch.width}" height="${band}" fill="rgb(${bg.join(',')})"/>`);
+      lines.forEach((line, i) => {
+        parts.push(`<text x="16" y="${sketch.height + 12 + i * 16}" dominant-baseline="hanging" fill="rgb(${ink.join(',')})" fill-opacity="${i === 0 ? 0.8 : 0.5}" style="font: 11px 'Courier New', monospace">${nerveXml(line)}</text>`);
+      });
+    }
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${sketch.width}" height="${sketch.height + band}" viewBox="0 0 ${sketch.width} ${sketch.height + band}">`,
+      `<title>The Nerve — ${nerveXml(stamp.sketch)}</title>`,
+      `<desc>${nerveXml(lines.join('\n'))}</desc>`,
+      `<metadata id="nerve-snapshot">${nerveXml(JSON.stringify(stamp))}</metadata>`,
+      ...parts,
+      '</svg>'
+    ].join('\n');
+  }
+
+  // Resolves once the sketch has drawn its next frame on the context wrap
+  // builds around its own. Captures run one after another, so a second never
+  // wraps the copy a first has swapped in.
+  // The swap is pinned to p5 1.9.0, the version every page loads from cdnjs:
+  // the renderer keeps the context in _renderer.drawingContext, the
+  // instance's drawingContext is read-only outside _setProperty, and the
+  // renderer skips fill and stroke writes that match _cachedFillStyle and
+  // _cachedStrokeStyle. Check all three before moving the pages off 1.9.0.
+  captureFrame(sketch, wrap) {
+    const capture = this.capturing.then(() => this.swapFrame(sketch, wrap));
+    this.capturing = capture.catch(() => {});
+    return capture;
+  }
+
+  swapFrame(sketch, wrap) {
+    const renderer = sketch._renderer;
+    const live = renderer.drawingContext;
+    const swap = ctx => {
+      renderer.drawingContext = ctx;
+      sketch._setProperty('drawingContext', ctx);
+      renderer._cachedFillStyle = ctx.fillStyle;
+      renderer._cachedStrokeStyle = ctx.strokeStyle;
+    };
+    return new Promise((resolve, reject) => {
+      // pre runs after p5 has reset the transform for the frame, post once
+      // draw() returns
+      const pre = () => {
+        sketch.unregisterMethod('pre', pre);
+        try {
+          swap(wrap(live));
+        } catch (e) {
+          sketch.unregisterMethod('post', post);
+          reject(e);
+        }
+      };
+      const post = () => {
+        sketch.unregisterMethod('post', post);
+        swap(live);
+        resolve();
+      };
+      sketch.registerMethod('pre', pre);
+      sketch.registerMethod('post', post);
+      if (!sketch.isLooping()) sketch.redraw();
+    });
+  }
+
+  captionColors() {
+    const colors = this.nerve.getRegimeColors();
+    return { bg: colors.bg.slice(0, 3).map(Math.round), ink: this.nerve.theme.ink.slice(0, 3) };
+  }
+
+  download(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  toggle() {
+    this.open = !this.open;
+    this.el.style.display = this.open ? 'block' : 'none';
+    if (!this.open) return;
+    this.refreshPanel();
+    this.pngButton.focus();
+  }
+
+  addPanel() {
+    this.el = document.createElement('div');
+    this.el.id = 'snapshot-panel';
+    this.el.setAttribute('role', 'dialog');
+    this.el.setAttribute('aria-label', 'Snapshot');
+    this.el.style.cssText = [
+      'position: fixed', 'left: 50%', 'top: 50%', 'transform: translate(-50%, -50%)', 'z-index: 30',
+      'display: none', 'padding: 16px 20px', 'width: 300px',
+      'background: rgba(var(--nerve-paper, 0, 0, 0), 0.85)', 'border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.15)',
+      'font: 11px "Courier New", monospace', 'letter-spacing: 1px', 'text-transform: uppercase',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.7)'
+    ].join(';');
+
+    const title = document.createElement('div');
+    title.textContent = 'Snapshot';
+    title.style.cssText = 'margin-bottom: 10px; letter-spacing: 3px; color: rgba(var(--nerve-ink, 255, 255, 255), 1)';
+
+    const sizeRow = document.createElement('label');
+    sizeRow.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 6px 0';
+    sizeRow.append('Size');
+    this.sizeSelect = document.createElement('select');
+    this.sizeSelect.style.cssText = 'flex: 1; font: inherit; background: transparent; color: inherit; border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.2)';
+    this.sizeSelect.addEventListener('change', () => {
+      this.settings.scale = Number(this.sizeSelect.value);
+      this.saveSettings();
+    });
+    sizeRow.appendChild(this.sizeSelect);
+
+    const captionRow = document.createElement('label');
+    captionRow.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 6px 0';
+    this.captionBox = document.createElement('input');
+    this.captionBox.type = 'checkbox';
+    this.captionBox.addEventListener('change', () => {
+      this.settings.caption = this.captionBox.checked;
+      this.saveSettings();
+    });
+    captionRow.append(this.captionBox, 'Data caption under the image');
+
+    const buttonStyle = 'margin: 10px 10px 0 0; padding: 4px 10px; cursor: pointer; font: inherit; letter-spacing: inherit; background: none; color: inherit; border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.3)';
+    this.pngButton = document.createElement('button');
+    this.pngButton.textContent = 'Save PNG';
+    this.pngButton.style.cssText = buttonStyle;
+    this.pngButton.addEventListener('click', () => this.savePng());
+    this.svgButton = document.createElement('button');
+    this.svgButton.style.cssText = buttonStyle;
+    this.svgButton.addEventListener('click', () => this.saveSvg());
+    const close = document.createElement('button');
+    close.textContent = 'Close';
+    close.style.cssText = buttonStyle;
+    close.addEventListener('click', () => this.toggle());
+
+    this.el.append(title, sizeRow, captionRow, this.pngButton, this.svgButton, close);
+    // Keep clicks and keys on the panel from reaching the sketch's handlers
+    for (const type of ['mousedown', 'mouseup', 'click', 'touchstart', 'pointerdown', 'keydown']) {
+      this.el.addEventListener(type, e => e.stopPropagation());
+    }
+    this.el.addEventListener('keydown', e => {
+      if (e.key === 'Escape') this.toggle();
+    });
+    document.body.appendChild(this.el);
+  }
+
+  // Sizes in pixels of the first sketch; SVG only when a sketch offers it
+  refreshPanel() {
+    const sketch = this.sketches[0];
+    this.sizeSelect.textContent = '';
+    for (const scale of NERVE_SNAPSHOT_SCALES) {
+      const option = document.createElement('option');
+      option.value = scale;
+      option.textContent = sketch ? `${scale}× · ${sketch.width * scale} × ${sketch.height * scale}` : `${scale}×`;
+      this.sizeSelect.appendChild(option);
+    }
+    this.sizeSelect.value = this.settings.scale;
+    this.captionBox.checked = this.settings.caption;
+    const vector = this.sketches.filter(s => s.svg);
+    this.svgButton.style.display = vector.length ? 'inline-block' : 'none';
+    this.svgButton.textContent = vector.length < this.sketches.length
+      ? `Save SVG (${vector.map(s => s.nerveName).join(', ')})`
+      : 'Save SVG';
+  }
+}
+
+// A 2D context that draws on live as usual and repeats every call on copy,
+// whose transform is live's times scale. Reads (measureText, getTransform,
+// the current styles) come from live; copy starts with live's styles so
+// p5's cached fill and stroke hold for both. Pixel reads and writes
+// (getImageData, putImageData) aren't scaled, which no sketch uses.
+const NERVE_TEE_STYLES = [
+  'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'font',
+  'textAlign', 'textBaseline', 'globalAlpha', 'globalCompositeOperation'
+];
+
+function nerveTeeContext(live, copy, scale) {
+  const scaled = m => [m.a, m.b, m.c, m.d, m.e, m.f].map(v => v * scale);
+  copy.setTransform(...scaled(live.getTransform()));
+  copy.setLineDash(live.getLineDash());
+  for (const key of NERVE_TEE_STYLES) copy[key] = live[key];
+
+  // The two calls that replace the transform rather than add to it
+  const repeat = (key, args) => {
+    if (key === 'setTransform') {
+      const [a, b, c, d, e, f] = args;
+      copy.setTransform(...scaled(args.length === 1 ? a : { a, b, c, d, e, f }));
+    } else if (key === 'resetTransform') {
+      copy.setTransform(scale, 0, 0, scale, 0, 0);
+    } else if (typeof copy[key] === 'function') {
+      copy[key](...args);
+    }
+  };
+  return new Proxy(live, {
+    get(target, key) {
+      const value = live[key];
+      if (typeof value !== 'function') return value;
+      return (...args) => {
+        repeat(key, args);
+        return value.apply(live, args);
+      };
+    },
+    set(target, key, value) {
+      live[key] = value;
+      // Shadows are measured in canvas pixels, outside the transform
+      copy[key] = /^shadow(Blur|OffsetX|OffsetY)$/.test(key) ? value * scale : value;
+      return true;
+    }
+  });
+}
+
+// A stand-in for CanvasRenderingContext2D that turns p5's drawing calls
+// into SVG elements. Paths are stored in canvas coordinates (the current
+// transform applied), text and images keep theirs as a matrix.
+class NerveSvgContext {
+  constructor(canvasCtx, width, height) {
+    this.canvasCtx = canvasCtx; // the real context, for measureText
+    this.canvas = canvasCtx.canvas;
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.path = '';
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    this.stack = [];
+    this.lineDash = [];
+    for (const key of ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'font', 'textAlign', 'textBaseline']) {
+      this[key] = canvasCtx[key];
+    }
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = 'source-over';
+  }
+
+  save() {
+    const { fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, textAlign, textBaseline, globalAlpha } = this;
+    this.stack.push({
+      fillStyle, strokeStyle, lineWidth, lineCap, lineJoin, font, textAlign, textBaseline, globalAlpha,
+      matrix: this.matrix.slice(), lineDash: this.lineDash.slice()
+    });
+  }
+
+  restore() {
+    const state = this.stack.pop();
+    if (state) Object.assign(this, state);
+  }
+
+  // Transforms
+
+  transform(a, b, c, d, e, f) {
+    const [ma, mb, mc, md, me, mf] = this.matrix;
+    this.matrix = [
+      ma * a + mc * b, mb * a + md * b,
+      ma * c + mc * d, mb * c + md * d,
+      ma * e + mc * f + me, mb * e + md * f + mf
+    ];
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this.matrix = [a, b, c, d, e, f];
+  }
+
+  getTransform() {
+    const [a, b, c, d, e, f] = this.matrix;
+    return { a, b, c, d, e, f };
+  }
+
+  translate(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  scale(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+
+  point(x, y) {
+    const [a, b, c, d, e, f] = this.matrix;
+    return `${nerveSvgNumber(a * x + c * y + e)} ${nerveSvgNumber(b * x + d * y + f)}`;
+  }
+
+  // How much the transform scales lengths such as line widths
+  scaleFactor() {
+    const [a, b, c, d] = this.matrix;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  // Paths
+
+  beginPath() {
+    this.path = '';
+  }
+
+  moveTo(x, y) {
+    this.path += `M${this.point(x, y)}`;
+  }
+
+  lineTo(x, y) {
+    this.path += `L${this.point(x, y)}`;
+  }
+
+  bezierCurveTo(x1, y1, x2, y2, x, y) {
+    this.path += `C${this.point(x1, y1)} ${this.point(x2, y2)} ${this.point(x, y)}`;
+  }
+
+  quadraticCurveTo(x1, y1, x, y) {
+    this.path += `Q${this.point(x1, y1)} ${this.point(x, y)}`;
+  }
+
+  closePath() {
+    this.path += 'Z';
+  }
+
+  rect(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  }
+
+  // As Béziers of at most a quarter turn, so any transform carries over
+  arc(x, y, r, start, end, counterclockwise = false) {
+    let sweep = end - start;
+    if (counterclockwise && sweep > 0) sweep -= Math.PI * 2;
+    if (!counterclockwise && sweep < 0) sweep += Math.PI * 2;
+    sweep = Math.max(-Math.PI * 2, Math.min(Math.PI * 2, sweep));
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+    const step = sweep / steps;
+    const k = (4 / 3) * Math.tan(step / 4);
+    let angle = start;
+    const at = a => [x + r * Math.cos(a), y + r * Math.sin(a)];
+    const [sx, sy] = at(angle);
+    this.path += `${this.path ? 'L' : 'M'}${this.point(sx, sy)}`;
+    for (let i = 0; i < steps; i++) {
+      const next = angle + step;
+      const [x0, y0] = at(angle);
+      const [x3, y3] = at(next);
+      this.bezierCurveTo(
+        x0 - k * r * Math.sin(angle), y0 + k * r * Math.cos(angle),
+        x3 + k * r * Math.sin(next), y3 - k * r * Math.cos(next),
+        x3, y3
+      );
+      angle = next;
+    }
+  }
+
+  ellipse(x, y, rx, ry, rotation, start, end, counterclockwise) {
+    this.save();
+    this.translate(x, y);
+    this.rotate(rotation);
+    this.scale(1, ry / rx);
+    this.arc(0, 0, rx, start, end, counterclockwise);
+    this.restore();
+  }
+
+  clip() {}
+
+  fill() {
+    const paint = nerveSvgPaint(this.fillStyle, this.globalAlpha);
+    if (!this.path || !paint) return;
+    this.elements.push(`<path d="${this.path}" fill="${paint.color}" fill-opacity="${paint.opacity}"/>`);
+  }
+
+  stroke() {
+    const paint = nerveSvgPaint(this.strokeStyle, this.globalAlpha);
+    if (!this.path || !paint) return;
+    const scale = this.scaleFactor();
+    const dash = this.lineDash.length ? ` stroke-dasharray="${this.lineDash.map(n => nerveSvgNumber(n * scale)).join(' ')}"` : '';
+    this.elements.push(`<path d="${this.path}" fill="none" stroke="${paint.color}" stroke-opacity="${paint.opacity}" stroke-width="${nerveSvgNumber(this.lineWidth * scale)}" stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${dash}/>`);
+  }
+
+  fillRect(x, y, w, h) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.fill();
+    this.path = path;
+  }
+
+  strokeRect(x, y, w, h) {
+    const path = this.path;
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.stroke();
+    this.path = path;
+  }
+
+  // Only a full clear means anything here: start the picture over
+  clearRect(x, y, w, h) {
+    if (x <= 0 && y <= 0 && w >= this.width && h >= this.height) this.elements = [];
+  }
+
+  setLineDash(segments) {
+    this.lineDash = segments.slice();
+  }
+
+  getLineDash() {
+    return this.lineDash.slice();
+  }
+
+  // Text
+
+  measureText(text) {
+    this.canvasCtx.save();
+    this.canvasCtx.font = this.font;
+    const metrics = this.canvasCtx.measureText(text);
+    this.canvasCtx.restore();
+    return metrics;
+  }
+
+  fillText(text, x, y) {
+    this.addText(text, x, y, nerveSvgPaint(this.fillStyle, this.globalAlpha), 'fill');
+  }
+
+  strokeText(text, x, y) {
+    this.addText(text, x, y, nerveSvgPaint(this.strokeStyle, this.globalAlpha), 'stroke');
+  }
+
+  addText(text, x, y, paint, mode) {
+    if (!paint) return;
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+    const baseline = { top: 'hanging', hanging: 'hanging', middle: 'middle', bottom: 'text-after-edge', ideographic: 'text-after-edge' }[this.textBaseline] || 'alphabetic';
+    const style = mode === 'fill'
+      ? `fill="${paint.color}" fill-opacity="${paint.opacity}"`
+      : `fill="none" stroke="${paint.color}" stroke-opacity="${paint.opacity}" stroke-width="${nerveSvgNumber(this.lineWidth)}"`;
+    this.elements.push(`<text transform="matrix(${this.matrix.map(nerveSvgNumber).join(' ')})" x="${nerveSvgNumber(x)}" y="${nerveSvgNumber(y)}" text-anchor="${anchor}" dominant-baseline="${baseline}" ${style} style="font: ${nerveXml(this.font)}; white-space: pre">${nerveXml(String(text))}</text>`);
+  }
+
+  // Images (p5.Graphics buffers and the like) go in as embedded PNGs
+
+  drawImage(image, ...args) {
+    const [dx, dy, dw, dh] = args.length >= 8 ? args.slice(4) : args;
+    const width = dw !== undefined ? dw : image.width;
+    const height = dh !== undefined ? dh : image.height;
+    const href = typeof image.toDataURL === 'function' ? image.toDataURL('image/png') : image.src;
+    if (!href) return;
+    this.elements.push(`<image transform="matrix(${this.matrix.map(nerveSvgNumber).join(' ')})" x="${nerveSvgNumber(dx)}" y="${nerveSvgNumber(dy)}" width="${nerveSvgNumber(width)}" height="${nerveSvgNumber(height)}" opacity="${this.globalAlpha}" preserveAspectRatio="none" xlink:href="${href}"/>`);
+  }
+
+  // Pixel access has no meaning in a vector picture; hand back blanks
+  getImageData(x, y, w, h) {
+    return this.canvasCtx.createImageData(w, h);
+  }
+
+  createImageData(w, h) {
+    return this.canvasCtx.createImageData(w, h);
+  }
+
+  putImageData() {}
+
+  createLinearGradient(...args) {
+    return this.canvasCtx.createLinearGradient(...args);
+  }
+
+  createRadialGradient(...args) {
+    return this.canvasCtx.createRadialGradient(...args);
+  }
+}
+
+// A canvas fill/stroke style as an SVG color and opacity; null for
+// gradients and patterns, which are skipped
+function nerveSvgPaint(style, alpha) {
+  if (typeof style !== 'string') return null;
+  const rgba = style.match(/^rgba?\(([^)]+)\)$/);
+  if (!rgba) return { color: style, opacity: alpha };
+  const [r, g, b, a = 1] = rgba[1].split(',').map(Number);
+  if (a * alpha <= 0) return null;
+  return { color: `rgb(${Math.round(r)},${Math.round(g)},${Math.round(b)})`, opacity: nerveSvgNumber(a * alpha) };
+}
+
+function nerveSvgNumber(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function nerveXml(text) {
+  return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+// The PNG with an iTXt chunk (UTF-8 text) per entry, right after IHDR
+function nervePngWithText(png, entries) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  for (const keyword in entries) {
+    // keyword \0, no compression, no language tag, no translated keyword, text
+    const data = [...encoder.encode(keyword), 0, 0, 0, 0, 0, ...encoder.encode(entries[keyword])];
+    const body = new Uint8Array([...encoder.encode('iTXt'), ...data]);
+    const chunk = new Uint8Array(body.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(body, 4);
+    view.setUint32(body.length + 4, nerveCrc32(body));
+    chunks.push(chunk);
+  }
+  const ihdrEnd = 8 + 25; // signature, then IHDR: length, type, 13 bytes, CRC
+  const total = png.length + chunks.reduce((sum, c) => sum + c.length, 0);
+  const out = new Uint8Array(total);
+  out.set(png.subarray(0, ihdrEnd), 0);
+  let offset = ihdrEnd;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  out.set(png.subarray(ihdrEnd), offset);
+  return out;
+}
+
+let nerveCrcTable = null;
+
+function nerveCrc32(bytes) {
+  if (!nerveCrcTable) {
+    nerveCrcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      nerveCrcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = nerveCrcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
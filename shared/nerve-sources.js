@@ -0,0 +1,508 @@
+// Shared Nerve Data Sources
+// Pluggable adapters that NerveData reads engine payloads from.
+// Every adapter exposes the same surface:
+//   type     — short name used in config ('http', 'sse', 'ws', 'static', 'memory')
+//   fetch()  — resolves with one raw payload, or throws on any failure
+//   close()  — releases connections / timers (optional)
+//   fetchHistory({ days }) — resolves with a time-ordered array of payloads
+//            (optional; without it history comes back empty)
+// Streaming adapters (sse, ws) also offer subscribe() for push delivery.
+//
+// The source is chosen without code edits, in this order:
+//   1. URL query params   ?source=sse&url=https://staging.example/stream
+//   2. window.NERVE_CONFIG = { source: { type: 'memory', frames: [...] } }
+//   3. The public engine over HTTP polling
+// A source that can't be built (unknown type, static without a url) is
+// reported in the console and NerveData falls back to 3.
+//
+// Timeline replay (nerve-timeline.js) is switched on the same way:
+//   ?replay=30                           last 30 days from the source's history
+//   ?replay=30&history=data/march.json   a local history file instead
+// a scripted scenario (nerve-scenario.js) with
+//   ?scenario=../shared/scenarios/supply-chain-shock.json
+// the seeded generative sim (nerve-generator.js) with
+//   ?sim=generative&seed=42
+// the color theme (nerve-themes.js) with
+//   ?theme=colorblind
+// alerts (nerve-alerts.js) with
+//   ?alerts=0.5,0.75&webhook=http://localhost:8787/webhook
+// sound (nerve-audio.js) with
+//   ?sound     (?sound=0 to start muted)
+// reduced motion, whatever the OS says, with
+//   ?motion=reduced   (?motion=full for the full animation)
+// and the kiosk rotation (kiosk/) with
+//   ?views=clock:60,pulse,fracture&rotate=45&dramatic=fracture
+
+const NERVE_API_URL = 'https://nerve-engine.onrender.com/current';
+
+class HttpPollingSource {
+  constructor(options = {}) {
+    this.type = 'http';
+    this.url = options.url || NERVE_API_URL;
+    this.historyUrl = options.historyUrl || this.url.replace(/\/current$/, '/history');
+    this.timeout = options.timeout || 8000;
+  }
+
+  async fetch() {
+    // Create an AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    let resp;
+    try {
+      resp = await fetch(this.url, {
+        signal: controller.signal,
+        headers: {
+          'Accept': 'application/json'
+        }
+      });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    // Check if response is OK
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    }
+
+    // Check content type before parsing
+    const contentType = resp.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      throw new Error(`Expected JSON, got ${contentType}`);
+    }
+
+    // Get response text first to handle parse errors gracefully
+    return parseNervePayload(await resp.text());
+  }
+
+  fetchHistory(options = {}) {
+    return fetchNerveHistory(this.historyUrl, { ...options, timeout: this.timeout });
+  }
+
+  close() {}
+}
+
+// A JSON file next to the page — either one payload or an array of payloads.
+// Arrays are stepped through one frame per fetch and loop at the end,
+// which is enough to keep an offline demo box moving.
+class StaticFileSource {
+  constructor(options = {}) {
+    this.type = 'static';
+    this.url = options.url;
+    this.historyUrl = options.historyUrl || null;
+    this.timeout = options.timeout || 8000;
+    this.frames = null;
+    this.index = 0;
+    if (!this.url) {
+      throw new Error('Static source needs a url');
+    }
+  }
+
+  async fetch() {
+    if (!this.frames) await this.loadFrames();
+    const frame = this.frames[this.index % this.frames.length];
+    this.index++;
+    return frame;
+  }
+
+  async loadFrames() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    let resp;
+    try {
+      resp = await fetch(this.url, { signal: controller.signal });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    if (!resp.ok) {
+      throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    }
+    const data = parseNervePayload(await resp.text());
+    this.frames = Array.isArray(data) ? data : [data];
+    if (this.frames.length === 0) {
+      throw new Error(`No frames in ${this.url}`);
+    }
+  }
+
+  // Without a separate history file, a timestamped frame array doubles as one
+  async fetchHistory(options = {}) {
+    if (this.historyUrl) {
+      return fetchNerveHistory(this.historyUrl, { ...options, timeout: this.timeout, local: true });
+    }
+    if (!this.frames) await this.loadFrames();
+    return normalizeNerveHistory(this.frames);
+  }
+
+  close() {}
+}
+
+// Frames handed in directly from page script. No network at all.
+class MemorySource {
+  constructor(options = {}) {
+    this.type = 'memory';
+    this.frames = options.frames || [];
+    this.history = options.history || this.frames;
+    this.index = 0;
+  }
+
+  async fetch() {
+    if (this.frames.length === 0) {
+      throw new Error('Memory source has no frames');
+    }
+    const frame = this.frames[this.index % this.frames.length];
+    this.index++;
+    return frame;
+  }
+
+  async fetchHistory() {
+    return normalizeNerveHistory(this.history);
+  }
+
+  close() {}
+}
+
+// Stream sources keep one connection open and push frames as they arrive.
+// subscribe() delivers every frame; fetch() hands back the latest one,
+// waiting for the first if needed, so they also work through plain polling.
+//
+// A stream counts as dropped when the connection errors or closes, or when
+// no frame has arrived for staleAfter ms. Dropped streams reconnect with
+// doubling delays. If the stream never delivers a frame after
+// maxFailedOpens attempts, the engine is taken not to offer streaming and
+// subscribers are told via onUnavailable so they can fall back to polling.
+class StreamSource {
+  constructor(options = {}) {
+    this.url = options.url || this.defaultUrl();
+    // Polling fallback: same engine's /current unless told otherwise
+    this.pollUrl = options.pollUrl || (/\/stream$/.test(this.url)
+      ? this.url.replace(/^ws/, 'http').replace(/\/stream$/, '/current')
+      : NERVE_API_URL);
+    this.historyUrl = options.historyUrl || null;
+    this.timeout = options.timeout || 8000;
+    this.staleAfter = options.staleAfter || 45000;
+    this.maxFailedOpens = options.maxFailedOpens || 3;
+    this.minReconnectDelay = 1000;
+    this.maxReconnectDelay = 30000;
+    this.reconnectDelay = this.minReconnectDelay;
+    this.latest = null;
+    this.lastError = null;
+    this.lastFrameAt = 0;
+    this.everReceived = false;
+    this.failedOpens = 0;
+    this.waiters = [];
+    this.subscribers = [];
+    this.conn = null;
+    this.connected = false;
+    this.reconnectTimer = null;
+    this.watchdog = null;
+  }
+
+  defaultUrl() {
+    return NERVE_API_URL.replace(/\/current$/, '/stream');
+  }
+
+  async fetch() {
+    if (!this.conn && !this.reconnectTimer) this.connect();
+    if (this.latest) return this.latest;
+    if (this.lastError) {
+      const err = this.lastError;
+      this.lastError = null;
+      throw err;
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timeoutId = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        const err = new Error('Timed out waiting for stream frame');
+        err.name = 'AbortError';
+        reject(err);
+      }, this.timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  // History is not streamed — it comes from the same engine's /history
+  fetchHistory(options = {}) {
+    const url = this.historyUrl || this.pollUrl.replace(/\/current$/, '/history');
+    return fetchNerveHistory(url, { ...options, timeout: this.timeout });
+  }
+
+  // handlers: { onFrame(data), onError(err), onUnavailable() }
+  subscribe(handlers) {
+    this.subscribers.push(handlers);
+    if (!this.conn && !this.reconnectTimer) this.connect();
+    return () => {
+      this.subscribers = this.subscribers.filter(h => h !== handlers);
+    };
+  }
+
+  connect() {
+    this.reconnectTimer = null;
+    this.lastFrameAt = Date.now();
+    try {
+      this.open();
+    } catch (e) {
+      this.handleDrop(e);
+      return;
+    }
+    if (!this.watchdog) {
+      this.watchdog = setInterval(() => this.checkStale(), Math.min(this.staleAfter, 5000));
+    }
+  }
+
+  checkStale() {
+    if (this.conn && Date.now() - this.lastFrameAt > this.staleAfter) {
+      this.handleDrop(new Error(`No stream frame for ${Math.round(this.staleAfter / 1000)}s`));
+    }
+  }
+
+  handleOpen() {
+    this.connected = true;
+  }
+
+  handleMessage(text) {
+    let data;
+    try {
+      data = parseNervePayload(text);
+    } catch (e) {
+      this.handleError(e);
+      return;
+    }
+    this.latest = data;
+    this.lastError = null;
+    this.lastFrameAt = Date.now();
+    this.everReceived = true;
+    this.failedOpens = 0;
+    this.reconnectDelay = this.minReconnectDelay;
+    for (const w of this.waiters) {
+      clearTimeout(w.timeoutId);
+      w.resolve(data);
+    }
+    this.waiters = [];
+    for (const h of this.subscribers) {
+      if (h.onFrame) h.onFrame(data);
+    }
+  }
+
+  handleError(err) {
+    this.lastError = err;
+    for (const w of this.waiters) {
+      clearTimeout(w.timeoutId);
+      w.reject(err);
+    }
+    this.waiters = [];
+    for (const h of this.subscribers) {
+      if (h.onError) h.onError(err);
+    }
+  }
+
+  // Connection lost or never came up — tear down and try again later
+  handleDrop(err) {
+    if (this.conn) {
+      this.detach();
+      this.conn.close();
+      this.conn = null;
+    }
+    this.connected = false;
+    this.latest = null;
+    if (!this.everReceived) this.failedOpens++;
+    this.handleError(err);
+
+    if (!this.everReceived && this.failedOpens >= this.maxFailedOpens) {
+      this.close();
+      for (const h of this.subscribers) {
+        if (h.onUnavailable) h.onUnavailable();
+      }
+      return;
+    }
+
+    if (!this.reconnectTimer) {
+      this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    }
+  }
+
+  close() {
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.watchdog);
+    this.reconnectTimer = null;
+    this.watchdog = null;
+    if (this.conn) {
+      this.detach();
+      this.conn.close();
+      this.conn = null;
+    }
+    this.connected = false;
+  }
+}
+
+class SSESource extends StreamSource {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'sse';
+  }
+
+  open() {
+    this.conn = new EventSource(this.url);
+    this.conn.onopen = () => this.handleOpen();
+    this.conn.onmessage = (e) => this.handleMessage(e.data);
+    // EventSource retries on its own with no backoff and gives up silently
+    // on a bad status or content type — take over both cases
+    this.conn.onerror = () => this.handleDrop(new Error('Event stream error'));
+  }
+
+  detach() {
+    this.conn.onopen = this.conn.onmessage = this.conn.onerror = null;
+  }
+}
+
+class WebSocketSource extends StreamSource {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'ws';
+  }
+
+  defaultUrl() {
+    return super.defaultUrl().replace(/^http/, 'ws');
+  }
+
+  open() {
+    this.conn = new WebSocket(this.url);
+    this.conn.onopen = () => this.handleOpen();
+    this.conn.onmessage = (e) => this.handleMessage(e.data);
+    this.conn.onclose = () => this.handleDrop(new Error('WebSocket closed'));
+  }
+
+  detach() {
+    this.conn.onopen = this.conn.onmessage = this.conn.onclose = null;
+  }
+}
+
+function parseNervePayload(text) {
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    throw new Error(`JSON parse failed: ${parseError.message}`);
+  }
+}
+
+// GET a historical series. Engine endpoints take ?days=N; local files
+// (options.local) are read as-is and trimmed to the last N days here.
+async function fetchNerveHistory(url, options = {}) {
+  const days = options.days || 30;
+  let requestUrl = url;
+  if (!options.local) {
+    requestUrl += (url.includes('?') ? '&' : '?') + 'days=' + days;
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), options.timeout || 8000);
+  let resp;
+  try {
+    resp = await fetch(requestUrl, {
+      signal: controller.signal,
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+  }
+
+  const series = normalizeNerveHistory(parseNervePayload(await resp.text()));
+  if (options.local && series.length > 0) {
+    const cutoff = series[series.length - 1].time - days * 86400000;
+    return series.filter(f => f.time >= cutoff);
+  }
+  return series;
+}
+
+// Accepts a bare array of payloads or { series: [...] } / { history: [...] }.
+// Keeps frames with a score and a parseable timestamp, oldest first, each
+// tagged with its epoch time in ms as .time
+function normalizeNerveHistory(data) {
+  const list = Array.isArray(data) ? data : (data && (data.series || data.history)) || [];
+  const series = [];
+  for (const frame of list) {
+    if (!frame || typeof frame.edge_score !== 'number') continue;
+    const time = Date.parse(frame.timestamp);
+    if (isNaN(time)) continue;
+    series.push({ ...frame, time });
+  }
+  series.sort((a, b) => a.time - b.time);
+  return series;
+}
+
+const NERVE_SOURCE_TYPES = {
+  http: HttpPollingSource,
+  sse: SSESource,
+  ws: WebSocketSource,
+  static: StaticFileSource,
+  memory: MemorySource
+};
+
+// Accepts a ready adapter, a type name, or { type, url, ... }
+function createNerveSource(spec) {
+  if (spec && typeof spec.fetch === 'function') return spec;
+  if (typeof spec === 'string') spec = { type: spec };
+  spec = spec || {};
+
+  const type = spec.type || 'http';
+  const SourceClass = NERVE_SOURCE_TYPES[type];
+  if (!SourceClass) {
+    throw new Error(`Unknown Nerve source type: ${type}`);
+  }
+  return new SourceClass(spec);
+}
+
+// Page-level config: window.NERVE_CONFIG, overridden by URL query params
+function nerveConfigFromPage() {
+  const config = Object.assign({}, typeof window !== 'undefined' && window.NERVE_CONFIG);
+  if (typeof location === 'undefined') return config;
+
+  const params = new URLSearchParams(location.search);
+  if (params.has('history')) config.history = params.get('history');
+  if (params.has('record')) config.record = true;
+  if (params.has('playback')) config.playback = params.get('playback');
+  if (params.has('scenario')) config.scenario = params.get('scenario');
+  if (params.has('sim')) config.sim = params.get('sim');
+  if (params.has('theme')) config.theme = params.get('theme');
+  if (params.has('alerts') || params.has('webhook')) {
+    const alerts = typeof config.alerts === 'object' ? { ...config.alerts } : {};
+    const levels = params.get('alerts');
+    if (levels) alerts.thresholds = levels.split(',').map(Number).filter(n => !isNaN(n));
+    if (params.has('webhook')) alerts.webhook = params.get('webhook');
+    config.alerts = alerts;
+  }
+  if (params.has('motion')) config.reducedMotion = params.get('motion') === 'reduced';
+  if (params.has('sound')) {
+    config.audio = { ...config.audio, enabled: params.get('sound') !== '0' };
+  }
+  if (params.has('views') || params.has('rotate') || params.has('dramatic')) {
+    const kiosk = { ...config.kiosk };
+    if (params.has('views')) kiosk.views = params.get('views');
+    const rotate = Number(params.get('rotate'));
+    if (rotate > 0 && isFinite(rotate)) kiosk.interval = rotate;
+    if (params.has('dramatic')) kiosk.dramatic = params.get('dramatic');
+    config.kiosk = kiosk;
+  }
+  if (params.has('seed')) {
+    const seed = params.get('seed');
+    config.generator = { ...config.generator, seed: isNaN(Number(seed)) ? seed : Number(seed) };
+  }
+  if (params.has('replay')) {
+    config.replay = { ...config.replay, days: Number(params.get('replay')) || 30 };
+  }
+  if (params.has('source') || params.has('url')) {
+    const source = typeof config.source === 'object' ? { ...config.source } : {};
+    if (typeof config.source === 'string') source.type = config.source;
+    if (params.has('source')) source.type = params.get('source');
+    if (params.has('url')) source.url = params.get('url');
+    config.source = source;
+  }
+  return config;
+}
@@ -0,0 +1,123 @@
+// Shared Nerve Status Indicator
+// Top-right readout of where the data on screen comes from, so an operator
+// can tell why a screen isn't live without opening the console:
+//
+//   ● LIVE · STREAM               live, with the last fetch latency below
+//   ◌ CONNECTING                  first fetch still in flight
+//   ◌ STALE SINCE 3 OCT, 14:32    last known data, source not answering
+//   ◌ SIMULATION · FALLBACK       failures forced sim; retry countdown below
+//   ◌ SIMULATION · GENERATIVE     the same, with the seeded generator standing in
+//   ○ SIMULATION · MANUAL         sim chosen by the user (also replay, scenario, generative)
+//
+// plus the last error from the source while not live.
+// Turn it off with window.NERVE_CONFIG = { status: false }.
+
+const NERVE_STATUS_TONES = {
+  live: 'rgba(80,220,140,0.8)',
+  waiting: 'rgba(255,190,80,0.8)',
+  fallback: 'rgba(255,110,90,0.8)',
+  sim: 'rgba(var(--nerve-ink, 255, 255, 255), 0.5)'
+};
+
+class NerveStatusIndicator {
+  constructor(nerve) {
+    this.nerve = nerve;
+
+    this.el = document.createElement('div');
+    this.el.id = 'status-indicator';
+    this.el.setAttribute('role', 'status');
+    this.el.style.cssText = [
+      'position: fixed', 'top: 20px', 'right: 20px', 'z-index: 10',
+      'text-align: right', 'pointer-events: none',
+      'font: 10px "Courier New", monospace', 'letter-spacing: 3px',
+      'text-transform: uppercase', 'color: rgba(var(--nerve-ink, 255, 255, 255), 0.4)'
+    ].join(';');
+
+    this.stateLine = document.createElement('div');
+    this.detailLine = document.createElement('div');
+    this.errorLine = document.createElement('div');
+    this.detailLine.style.cssText = 'margin-top: 4px; letter-spacing: 2px';
+    this.errorLine.style.cssText = 'margin-top: 4px; letter-spacing: 1px; text-transform: none; color: rgba(255,110,90,0.6); max-width: 320px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap';
+    this.el.append(this.stateLine, this.detailLine, this.errorLine);
+    document.body.appendChild(this.el);
+
+    nerve.on('sourceStatusChange', () => this.refresh());
+    // Once a second for the retry countdown
+    this.timer = setInterval(() => this.refresh(), 1000);
+    this.refresh();
+  }
+
+  // Build the indicator unless the page turned it off
+  static attach(nerve, config) {
+    if (config.status === false || typeof document === 'undefined') return null;
+    return new NerveStatusIndicator(nerve);
+  }
+
+  // What to show for a NerveData.getStatus() snapshot:
+  // { state, tone, label, detail, error }
+  static describe(status, nerve) {
+    if (!status.simMode) {
+      return {
+        state: 'live',
+        tone: 'live',
+        label: status.streaming ? '● LIVE · STREAM' : '● LIVE',
+        detail: status.lastLatency !== null ? `LATENCY ${status.lastLatency}MS` : '',
+        error: null
+      };
+    }
+
+    const detail = [];
+    const error = status.lastError ? status.lastError.message : null;
+    switch (status.simReason) {
+      case 'fallback': {
+        if (status.checkingHealth) {
+          detail.push('RETRYING…');
+        } else if (isFinite(status.nextRetryAt)) {
+          const seconds = Math.max(0, Math.ceil((status.nextRetryAt - nerveMillis()) / 1000));
+          detail.push(`RETRYING IN ${seconds}S`);
+        }
+        if (status.connecting) {
+          return { state: 'connecting', tone: 'waiting', label: '◌ CONNECTING', detail: nerve.getStaleLabel() || '', error };
+        }
+        // The generator standing in while the source is down
+        if (status.generating) {
+          if (nerve.generator) detail.unshift(`SEED ${nerve.generator.seed}`);
+          return { state: 'generative', tone: 'fallback', label: '◌ SIMULATION · GENERATIVE', detail: detail.join(' · '), error };
+        }
+        if (status.staleSince) {
+          return { state: 'stale', tone: 'waiting', label: `◌ ${nerve.getStaleLabel()}`, detail: detail.join(' · '), error };
+        }
+        return {
+          state: status.checkingHealth || isFinite(status.nextRetryAt) ? 'retrying' : 'sim-fallback',
+          tone: 'fallback',
+          label: '◌ SIMULATION · FALLBACK',
+          detail: detail.join(' · '),
+          error
+        };
+      }
+      case 'replay':
+        return { state: 'replay', tone: 'sim', label: '○ REPLAY', detail: '', error: null };
+      case 'scenario':
+        return { state: 'scenario', tone: 'sim', label: '○ SCENARIO', detail: nerve.scenario ? nerve.scenario.name : '', error: null };
+      case 'generative':
+        return { state: 'generative', tone: 'sim', label: '○ SIMULATION · GENERATIVE', detail: nerve.generator ? `SEED ${nerve.generator.seed}` : '', error: null };
+      default:
+        return { state: 'sim-manual', tone: 'sim', label: '○ SIMULATION · MANUAL', detail: '', error: null };
+    }
+  }
+
+  refresh() {
+    const view = NerveStatusIndicator.describe(this.nerve.getStatus(), this.nerve);
+    this.el.dataset.state = view.state;
+    this.stateLine.textContent = view.label;
+    this.stateLine.style.color = NERVE_STATUS_TONES[view.tone];
+    this.detailLine.textContent = view.detail;
+    this.errorLine.textContent = view.error || '';
+    this.errorLine.title = view.error || '';
+  }
+
+  remove() {
+    clearInterval(this.timer);
+    this.el.remove();
+  }
+}
@@ -0,0 +1,276 @@
+// Shared Nerve Themes
+// Every color the sketches take from NerveData comes from the active theme.
+// A theme is plain JSON:
+//   {
+//     "name": "My theme",
+//     "ink": [255, 255, 255],            text on the overlays above the canvas
+//     "paper": [0, 0, 0],                backdrop of overlay panels
+//     "regimes": {
+//       "CALM": {
+//         "bg": [8, 12, 24], "primary": [...], "secondary": [...], "accent": [...],
+//         "glow": [r, g, b, alpha],
+//         "gradient": [surface, mid, deep, abyss]   backdrop bands (Depth)
+//       },
+//       "ELEVATED": {...}, "STRESSED": {...}, "CRITICAL": {...}
+//     },
+//     "domains": { "Markets": [65, 185, 255], ... },
+//     "palette": [[...], ...],           optional: colors for domains not listed
+//     "generated": { "saturation": 0.65, "value": 1.0 }   otherwise hashed hues
+//   }
+// Anything a theme leaves out comes from the default theme, so a custom
+// theme can be as small as { "domains": { "Markets": [255, 0, 255] } }.
+//
+// Pick one with ?theme=colorblind (a built-in name), ?theme=my-theme.json
+// (a URL), window.NERVE_CONFIG = { theme: ... } (either, or an inline theme)
+// or nerve.setTheme() / T key at runtime. A runtime pick is remembered.
+
+const NERVE_THEMES = {
+  default: {
+    name: 'Default',
+    ink: [255, 255, 255],
+    paper: [0, 0, 0],
+    regimes: {
+      CALM: {
+        bg: [8, 12, 24],
+        primary: [60, 130, 200],
+        secondary: [40, 90, 160],
+        accent: [100, 180, 255],
+        glow: [80, 160, 240, 30],
+        gradient: [[8, 25, 50], [5, 15, 40], [3, 8, 25], [1, 3, 10]]
+      },
+      ELEVATED: {
+        bg: [18, 14, 8],
+        primary: [220, 160, 50],
+        secondary: [180, 120, 30],
+        accent: [255, 200, 80],
+        glow: [240, 180, 60, 30],
+        gradient: [[20, 20, 35], [15, 12, 28], [10, 6, 18], [4, 2, 8]]
+      },
+      STRESSED: {
+        bg: [20, 8, 8],
+        primary: [200, 50, 40],
+        secondary: [160, 30, 25],
+        accent: [255, 80, 60],
+        glow: [240, 60, 40, 30],
+        gradient: [[25, 10, 15], [18, 5, 10], [12, 3, 6], [5, 1, 2]]
+      },
+      CRITICAL: {
+        bg: [12, 4, 4],
+        primary: [255, 30, 10],
+        secondary: [200, 10, 5],
+        accent: [255, 100, 20],
+        glow: [255, 40, 10, 40],
+        gradient: [[20, 5, 5], [15, 3, 3], [8, 1, 1], [3, 0, 0]]
+      }
+    },
+    domains: {
+      'Markets': [65, 185, 255],
+      'Climate': [50, 220, 130],
+      'Information': [200, 140, 255],
+      'Social/Conflict': [255, 120, 80],
+      'Supply Chain': [255, 210, 60]
+    },
+    generated: { saturation: 0.65, value: 1.0 }
+  },
+
+  // Okabe-Ito colors: distinguishable with deuteranopia and protanopia.
+  // Regimes step blue → yellow → orange → vermillion, so they also differ
+  // in lightness, not just hue
+  colorblind: {
+    name: 'Colorblind safe',
+    regimes: {
+      CALM: {
+        primary: [0, 114, 178],
+        secondary: [0, 80, 130],
+        accent: [86, 180, 233],
+        glow: [86, 180, 233, 30]
+      },
+      ELEVATED: {
+        bg: [16, 15, 6],
+        primary: [225, 210, 50],
+        secondary: [170, 158, 35],
+        accent: [240, 228, 66],
+        glow: [240, 228, 66, 30]
+      },
+      STRESSED: {
+        bg: [20, 12, 4],
+        primary: [230, 159, 0],
+        secondary: [170, 115, 0],
+        accent: [255, 190, 60],
+        glow: [230, 159, 0, 30]
+      },
+      CRITICAL: {
+        bg: [16, 5, 2],
+        primary: [213, 94, 0],
+        secondary: [160, 65, 0],
+        accent: [240, 120, 40],
+        glow: [213, 94, 0, 40]
+      }
+    },
+    domains: {
+      'Markets': [86, 180, 233],
+      'Climate': [230, 159, 0],
+      'Information': [204, 121, 167],
+      'Social/Conflict': [213, 94, 0],
+      'Supply Chain': [240, 228, 66]
+    },
+    palette: [[0, 158, 115], [0, 114, 178], [220, 220, 220], [150, 150, 150]]
+  },
+
+  'high-contrast': {
+    name: 'High contrast',
+    regimes: {
+      CALM: {
+        bg: [0, 0, 0],
+        primary: [0, 200, 255],
+        secondary: [0, 150, 220],
+        accent: [140, 235, 255],
+        glow: [0, 200, 255, 50],
+        gradient: [[0, 14, 28], [0, 8, 18], [0, 3, 8], [0, 0, 0]]
+      },
+      ELEVATED: {
+        bg: [0, 0, 0],
+        primary: [255, 220, 0],
+        secondary: [220, 180, 0],
+        accent: [255, 240, 120],
+        glow: [255, 220, 0, 50],
+        gradient: [[24, 20, 0], [14, 12, 0], [6, 5, 0], [0, 0, 0]]
+      },
+      STRESSED: {
+        bg: [0, 0, 0],
+        primary: [255, 120, 0],
+        secondary: [220, 90, 0],
+        accent: [255, 175, 90],
+        glow: [255, 120, 0, 50],
+        gradient: [[26, 10, 0], [16, 6, 0], [7, 2, 0], [0, 0, 0]]
+      },
+      CRITICAL: {
+        bg: [0, 0, 0],
+        primary: [255, 0, 90],
+        secondary: [220, 0, 60],
+        accent: [255, 100, 160],
+        glow: [255, 0, 90, 60],
+        gradient: [[26, 0, 8], [16, 0, 5], [7, 0, 2], [0, 0, 0]]
+      }
+    },
+    domains: {
+      'Markets': [255, 255, 255],
+      'Climate': [0, 255, 120],
+      'Information': [190, 130, 255],
+      'Social/Conflict': [255, 90, 60],
+      'Supply Chain': [255, 230, 0]
+    },
+    generated: { saturation: 0.9, value: 1.0 }
+  },
+
+  // For projectors and bright rooms
+  light: {
+    name: 'Light',
+    ink: [20, 24, 32],
+    paper: [255, 255, 255],
+    regimes: {
+      CALM: {
+        bg: [236, 241, 247],
+        primary: [40, 100, 170],
+        secondary: [80, 135, 200],
+        accent: [20, 80, 160],
+        glow: [40, 100, 170, 30],
+        gradient: [[236, 242, 250], [218, 229, 243], [196, 212, 234], [168, 188, 218]]
+      },
+      ELEVATED: {
+        bg: [247, 241, 228],
+        primary: [185, 115, 10],
+        secondary: [210, 150, 40],
+        accent: [155, 90, 0],
+        glow: [200, 130, 20, 30],
+        gradient: [[249, 244, 232], [238, 228, 208], [222, 206, 178], [200, 180, 146]]
+      },
+      STRESSED: {
+        bg: [248, 234, 232],
+        primary: [185, 40, 30],
+        secondary: [210, 85, 75],
+        accent: [155, 20, 10],
+        glow: [200, 50, 40, 30],
+        gradient: [[250, 238, 236], [240, 216, 212], [224, 188, 182], [202, 156, 148]]
+      },
+      CRITICAL: {
+        bg: [244, 226, 224],
+        primary: [200, 10, 0],
+        secondary: [150, 0, 0],
+        accent: [215, 45, 0],
+        glow: [210, 20, 0, 40],
+        gradient: [[247, 230, 228], [234, 202, 198], [214, 166, 160], [188, 128, 120]]
+      }
+    },
+    domains: {
+      'Markets': [0, 100, 190],
+      'Climate': [0, 140, 80],
+      'Information': [130, 60, 200],
+      'Social/Conflict': [210, 80, 30],
+      'Supply Chain': [165, 125, 0]
+    },
+    generated: { saturation: 0.75, value: 0.7 }
+  }
+};
+
+// A complete theme from a partial spec, filled in from the default theme.
+// Domain colors are not inherited when the spec brings its own palette:
+// an unlisted domain then takes a palette color rather than a default one.
+function resolveNerveTheme(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('Theme must be a JSON object');
+  }
+  const base = NERVE_THEMES.default;
+  const regimes = {};
+  for (const r of NERVE_REGIME_ORDER) {
+    regimes[r] = Object.assign({}, base.regimes[r], spec.regimes && spec.regimes[r]);
+    for (const key of ['bg', 'primary', 'secondary', 'accent', 'glow']) {
+      if (!Array.isArray(regimes[r][key]) || regimes[r][key].length < 3) {
+        throw new Error(`Theme regime ${r}: "${key}" must be an [r, g, b] array`);
+      }
+    }
+    if (!Array.isArray(regimes[r].gradient) || regimes[r].gradient.length !== 4) {
+      throw new Error(`Theme regime ${r}: "gradient" needs four colors`);
+    }
+  }
+  return {
+    name: spec.name || 'Custom',
+    ink: spec.ink || base.ink,
+    paper: spec.paper || base.paper,
+    regimes,
+    domains: Object.assign({}, spec.palette ? {} : base.domains, spec.domains),
+    palette: spec.palette || null,
+    generated: Object.assign({}, base.generated, spec.generated)
+  };
+}
+
+// Palette part way from one regime's colors to another's (t 0…1),
+// including nested color lists like the gradient bands
+function blendNervePalettes(from, to, t) {
+  const blend = (a, b) => {
+    if (!Array.isArray(a) || !Array.isArray(b)) return b;
+    if (Array.isArray(b[0])) return b.map((c, i) => blend(a[i], c));
+    return b.map((v, i) => (a[i] === undefined ? v : a[i] + (v - a[i]) * t));
+  };
+  const colors = {};
+  for (const key in to) {
+    colors[key] = blend(from[key], to[key]);
+  }
+  return colors;
+}
+
+// The --nerve-ink and --nerve-paper variables overlays color themselves with
+function nerveThemeVariables(el, theme) {
+  el.style.setProperty('--nerve-ink', theme.ink.slice(0, 3).join(', '));
+  el.style.setProperty('--nerve-paper', theme.paper.slice(0, 3).join(', '));
+}
+
+// A built-in theme by name, or a theme JSON file by URL
+async function loadNerveTheme(nameOrUrl) {
+  if (NERVE_THEMES[nameOrUrl]) return resolveNerveTheme(NERVE_THEMES[nameOrUrl]);
+  const resp = await fetch(nameOrUrl);
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+  }
+  return resolveNerveTheme(parseNervePayload(await resp.text()));
+}
@@ -0,0 +1,235 @@
+// Shared Nerve Timeline
+// Replays a historical series through a NerveData instance, so every sketch
+// can show a past period at adjustable speed with pause and scrub.
+// The timeline owns a position (epoch ms) on the series; each update it
+// advances by real elapsed time × speed and feeds the interpolated frame
+// to NerveData as if it had just arrived from the engine.
+
+class NerveTimeline {
+  constructor(nerve, options = {}) {
+    this.nerve = nerve;
+    this.days = options.days || 30;
+    this.speed = options.speed || 43200; // history seconds per real second (30 days ≈ 1 minute)
+    this.minSpeed = 60;
+    this.maxSpeed = 2592000;
+    this.loop = options.loop !== false;
+    this.showBar = options.bar !== false;
+    this.series = [];
+    this.position = 0;
+    this.playing = false;
+    this.lastTick = 0;
+    this.bar = null;
+  }
+
+  // Load the series, then show the scrub bar and start playing
+  async start() {
+    this.series = await this.nerve.loadHistory({ days: this.days });
+    if (this.series.length < 2) {
+      console.warn('Nerve timeline: not enough history to replay');
+      return;
+    }
+    this.position = this.series[0].time;
+    if (this.showBar && typeof document !== 'undefined') {
+      this.bar = new NerveTimelineBar(this);
+    }
+    this.play();
+  }
+
+  get startTime() {
+    return this.series.length ? this.series[0].time : 0;
+  }
+
+  get endTime() {
+    return this.series.length ? this.series[this.series.length - 1].time : 0;
+  }
+
+  get progress() {
+    const span = this.endTime - this.startTime;
+    return span > 0 ? (this.position - this.startTime) / span : 0;
+  }
+
+  play() {
+    if (this.series.length < 2) return;
+    if (this.position >= this.endTime) this.position = this.startTime;
+    this.nerve.startReplay();
+    this.playing = true;
+    this.lastTick = nerveMillis();
+    this.apply();
+  }
+
+  pause() {
+    this.playing = false;
+    this.refreshBar();
+  }
+
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  // Hand the data back to live/sim and stop replaying
+  stop() {
+    this.playing = false;
+    this.nerve.stopReplay();
+    this.refreshBar();
+  }
+
+  seek(time) {
+    this.position = nerveConstrain(time, this.startTime, this.endTime);
+    this.nerve.startReplay();
+    this.apply();
+  }
+
+  seekProgress(t) {
+    this.seek(this.startTime + t * (this.endTime - this.startTime));
+  }
+
+  setSpeed(speed) {
+    this.speed = nerveConstrain(speed, this.minSpeed, this.maxSpeed);
+    this.refreshBar();
+  }
+
+  faster() {
+    this.setSpeed(this.speed * 2);
+  }
+
+  slower() {
+    this.setSpeed(this.speed / 2);
+  }
+
+  update() {
+    if (!this.playing) return;
+
+    // Something else (SPACE, a click) took the data back
+    if (this.nerve.simReason !== 'replay') {
+      this.pause();
+      return;
+    }
+
+    const now = nerveMillis();
+    this.position += (now - this.lastTick) * this.speed;
+    this.lastTick = now;
+
+    if (this.position >= this.endTime) {
+      if (this.loop) {
+        this.position = this.startTime;
+      } else {
+        this.position = this.endTime;
+        this.playing = false;
+      }
+    }
+    this.apply();
+  }
+
+  apply() {
+    this.nerve.applySimFrame(this.frameAt(this.position), 'timeline');
+    this.refreshBar();
+  }
+
+  // Payload at an arbitrary time: scores interpolate between the two
+  // surrounding frames, regime and timestamp come from the earlier one
+  frameAt(time) {
+    const series = this.series;
+    let hi = series.findIndex(f => f.time > time);
+    if (hi === -1) return series[series.length - 1];
+    if (hi === 0) return series[0];
+
+    const a = series[hi - 1];
+    const b = series[hi];
+    const t = (time - a.time) / (b.time - a.time);
+
+    const domainScores = {};
+    for (let d in a.domain_scores || {}) {
+      const from = a.domain_scores[d].score;
+      const to = b.domain_scores && b.domain_scores[d] ? b.domain_scores[d].score : from;
+      domainScores[d] = { score: nerveLerp(from, to, t) };
+    }
+
+    return {
+      ...a,
+      edge_score: nerveLerp(a.edge_score, b.edge_score, t),
+      fragility_ratio: nerveLerp(a.fragility_ratio || 0, b.fragility_ratio || 0, t),
+      momentum: nerveLerp(a.momentum || 0, b.momentum || 0, t),
+      domain_scores: domainScores,
+      timestamp: new Date(time).toISOString()
+    };
+  }
+
+  refreshBar() {
+    if (this.bar) this.bar.refresh();
+  }
+}
+
+// Minimal DOM transport: play/pause, scrubber, speed and the replayed date
+class NerveTimelineBar {
+  constructor(timeline) {
+    this.timeline = timeline;
+    this.scrubbing = false;
+
+    this.el = document.createElement('div');
+    this.el.id = 'timeline-bar';
+    this.el.style.cssText = [
+      'position: fixed', 'left: 50%', 'bottom: 20px', 'transform: translateX(-50%)',
+      'display: flex', 'align-items: center', 'gap: 12px', 'z-index: 20',
+      'font: 10px "Courier New", monospace', 'letter-spacing: 2px',
+      'color: rgba(var(--nerve-ink, 255, 255, 255), 0.5)', 'text-transform: uppercase'
+    ].join(';');
+
+    this.playButton = this.makeButton('', () => timeline.togglePlay());
+    this.slowerButton = this.makeButton('«', () => timeline.slower());
+    this.fasterButton = this.makeButton('»', () => timeline.faster());
+
+    this.scrubber = document.createElement('input');
+    this.scrubber.type = 'range';
+    this.scrubber.min = 0;
+    this.scrubber.max = 1000;
+    this.scrubber.style.width = '320px';
+    this.scrubber.addEventListener('input', () => {
+      this.scrubbing = true;
+      timeline.seekProgress(this.scrubber.value / 1000);
+    });
+    this.scrubber.addEventListener('change', () => {
+      this.scrubbing = false;
+    });
+
+    this.dateLabel = document.createElement('span');
+    this.speedLabel = document.createElement('span');
+
+    this.el.append(this.playButton, this.slowerButton, this.scrubber, this.fasterButton, this.dateLabel, this.speedLabel);
+
+    // Keep clicks on the bar from reaching the sketch's mousePressed()
+    for (const type of ['mousedown', 'mouseup', 'click', 'touchstart']) {
+      this.el.addEventListener(type, e => e.stopPropagation());
+    }
+    document.body.appendChild(this.el);
+    this.refresh();
+  }
+
+  makeButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = 'background: none; border: 1px solid rgba(var(--nerve-ink, 255, 255, 255), 0.2); color: inherit; font: inherit; padding: 2px 8px; cursor: pointer';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  refresh() {
+    const tl = this.timeline;
+    this.playButton.textContent = tl.playing ? 'PAUSE' : 'PLAY';
+    if (!this.scrubbing) {
+      this.scrubber.value = Math.round(tl.progress * 1000);
+    }
+    this.dateLabel.textContent = new Date(tl.position).toISOString().slice(0, 16).replace('T', ' ');
+    const hoursPerSecond = tl.speed / 3600;
+    this.speedLabel.textContent = hoursPerSecond >= 24
+      ? `${+(hoursPerSecond / 24).toFixed(1)}d/s`
+      : `${+hoursPerSecond.toFixed(1)}h/s`;
+  }
+
+  remove() {
+    this.el.remove();
+  }
+}
@@ -0,0 +1,168 @@
+// Shared Nerve Visual
+// <nerve-visual> puts one of the sketches on any page, sized to its box:
+//   <nerve-visual type="clock" theme="colorblind"></nerve-visual>
+//   <nerve-visual type="pulse" source="sse" url="https://staging.example/stream"></nerve-visual>
+//   <nerve-visual type="depth" source="https://nerve.internal/current" sim-level="5"></nerve-visual>
+// Attributes:
+//   type       clock, pulse, depth or fracture (NERVE_SKETCHES)
+//   source     an adapter type (http, sse, ws, static) or a URL to poll;
+//              left out, the default live API
+//   url        the adapter's url, for source types that take one
+//   theme      a built-in theme name or a theme JSON URL
+//   sim-level  0–7 shows that sim preset; removing it goes back to live
+//   sound      present: add the sound controls (Pulse and Depth)
+// Elements with the same source, url and theme share one NerveData, so
+// one connection and one sim level. Each pauses while it's off-screen.
+// The element's nerve and sketch properties reach the running pieces,
+// e.g. new NerveInput(el.nerve, { sketches: [el.sketch] }).
+//
+// Load p5, nerve-sources.js, nerve-themes.js, nerve-data.js,
+// nerve-sketch.js, nerve-audio.js for sound, the sketch.js of each type
+// used, then this file. The panel, status badge, alerts and announcer stay
+// out of embeds, and so does the host page's config (NERVE_CONFIG and URL
+// parameters like ?record, ?scenario or ?sim) and its remembered theme and
+// motion picks: embeds go by their attributes only. Each sets the theme's
+// --nerve-ink / --nerve-paper on itself, not on the page.
+
+class NerveVisualElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['type', 'source', 'url', 'theme', 'sim-level', 'sound'];
+  }
+
+  constructor() {
+    super();
+    this.nerve = null;
+    this.sketch = null;
+    this.nerveKey = null;
+    this.visibility = null;
+    this.offTheme = null;
+    this.connected = false;
+
+    const shadow = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = [
+      ':host { display: block; position: relative; width: 100%; height: 100%; min-height: 150px; overflow: hidden }',
+      '.stage { position: absolute; inset: 0 }'
+    ].join('\n');
+    this.stage = document.createElement('div');
+    this.stage.className = 'stage';
+    shadow.append(style, this.stage);
+  }
+
+  connectedCallback() {
+    this.connected = true;
+    this.start();
+  }
+
+  disconnectedCallback() {
+    this.connected = false;
+    this.stop();
+  }
+
+  // Attributes set before connecting are picked up by start()
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.connected || oldValue === value) return;
+    if (name === 'sim-level') this.applySimLevel();
+    else this.restart();
+  }
+
+  start() {
+    const type = this.getAttribute('type') || 'clock';
+    const factory = NERVE_SKETCHES[type];
+    if (!factory) {
+      console.warn(`<nerve-visual>: unknown type ${type} (have ${Object.keys(NERVE_SKETCHES).join(', ')})`);
+      return;
+    }
+
+    const { key, options } = this.nerveOptions();
+    this.nerveKey = key;
+    this.nerve = NerveVisualElement.acquireNerve(key, options);
+    // The theme's colors for anything inside, on this element only
+    if (this.nerve.theme) nerveThemeVariables(this, this.nerve.theme);
+    this.offTheme = this.nerve.on('themeChange', ({ theme }) => nerveThemeVariables(this, theme));
+    this.sketch = factory(this.stage, this.nerve, { sound: this.hasAttribute('sound') });
+    this.setAttribute('role', 'img');
+    this.setAttribute('aria-label', `The Nerve — ${this.sketch.nerveName}`);
+    if (this.hasAttribute('sim-level')) this.applySimLevel();
+
+    // Off-screen embeds stop drawing; the data keeps coming for the others
+    if (typeof IntersectionObserver !== 'undefined') {
+      const sketch = this.sketch;
+      this.visibility = new IntersectionObserver(entries => {
+        if (entries[entries.length - 1].isIntersecting) sketch.loop();
+        else sketch.noLoop();
+      });
+      this.visibility.observe(this);
+    }
+  }
+
+  stop() {
+    if (this.visibility) this.visibility.disconnect();
+    this.visibility = null;
+    if (this.sketch) {
+      if (this.sketch.audio) this.sketch.audio.remove();
+      this.sketch.remove();
+    }
+    this.sketch = null;
+    if (this.offTheme) this.offTheme();
+    this.offTheme = null;
+    if (this.nerve) NerveVisualElement.releaseNerve(this.nerveKey);
+    this.nerve = null;
+    this.nerveKey = null;
+  }
+
+  restart() {
+    this.stop();
+    this.start();
+  }
+
+  // A bare word is an adapter type; anything with a slash or colon is a URL
+  // to poll
+  nerveOptions() {
+    const source = this.getAttribute('source');
+    const url = this.getAttribute('url');
+    const theme = this.getAttribute('theme');
+    const options = { pageConfig: false, panel: false, status: false, alerts: false, announce: false };
+    if (source || url) {
+      const spec = source && /[/:]/.test(source) ? { type: 'http', url: source } : { type: source || 'http' };
+      if (url) spec.url = url;
+      options.source = spec;
+    }
+    if (theme) options.theme = theme;
+    return { key: JSON.stringify([source, url, theme]), options };
+  }
+
+  applySimLevel() {
+    if (!this.nerve) return;
+    const level = this.getAttribute('sim-level');
+    if (level !== null && level !== '' && !isNaN(Number(level))) {
+      this.nerve.setSimLevel(Math.max(0, Math.floor(Number(level))));
+    } else if (this.nerve.simMode && this.nerve.simReason === 'manual') {
+      this.nerve.toggleSimMode();
+    }
+  }
+
+  static acquireNerve(key, options) {
+    let shared = NerveVisualElement.nerves.get(key);
+    if (!shared) {
+      shared = { nerve: new NerveData(options), users: 0 };
+      NerveVisualElement.nerves.set(key, shared);
+    }
+    shared.users++;
+    return shared.nerve;
+  }
+
+  static releaseNerve(key) {
+    const shared = NerveVisualElement.nerves.get(key);
+    if (!shared || --shared.users > 0) return;
+    shared.nerve.close();
+    NerveVisualElement.nerves.delete(key);
+  }
+}
+
+// NerveData per source/url/theme, with how many elements draw from it
+NerveVisualElement.nerves = new Map();
+
+if (typeof customElements !== 'undefined' && !customElements.get('nerve-visual')) {
+  customElements.define('nerve-visual', NerveVisualElement);
+}